@@ -0,0 +1,126 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+
+/**
+ * Atmosphere shell around the globe.
+ * A slightly larger sphere rendered from the inside (back faces) with additive blending,
+ * so only the ring around the planet's silhouette shows. The glow is lit by the globe's
+ * own lightPosition uniform: blue-ish scattering on the day side, sunset colours near the
+ * terminator and a forward-scattering halo when looking towards the sun.
+ */
+export class Atmosphere {
+    static DEFAULTS = {
+        color: '#5d9bff',       // Scattered daylight (Rayleigh)
+        sunsetColor: '#ff7a3d', // Light near the terminator
+        thickness: 0.04,        // Shell height as a fraction of the planet radius
+        density: 1.0            // Overall glow strength; 0 hides the atmosphere
+    };
+
+    /**
+     * @param {Globe} globe - The globe to wrap; its lightPosition uniform drives the lighting
+     */
+    constructor(globe) {
+        this.geometry = new THREE.SphereGeometry(1, 96, 48);
+        this.material = this.createMaterial(globe.material.uniforms.lightPosition);
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.setParameters();
+    }
+
+    /**
+     * Apply a planet's atmosphere parameters from planets.json.
+     * Missing fields fall back to DEFAULTS; `false` hides the atmosphere.
+     * @param {Object|boolean} [params] - {color, sunsetColor, thickness, density}
+     */
+    setParameters(params = {}) {
+        if (params === false) {
+            this.mesh.visible = false;
+            return;
+        }
+        const { color, sunsetColor, thickness, density } = { ...Atmosphere.DEFAULTS, ...params };
+        const uniforms = this.material.uniforms;
+        uniforms.atmosphereColor.value.set(color);
+        uniforms.sunsetColor.value.set(sunsetColor);
+        uniforms.thickness.value = thickness;
+        uniforms.density.value = density;
+        this.mesh.scale.setScalar(1 + thickness);
+        this.mesh.visible = density > 0 && thickness > 0;
+    }
+
+    /**
+     * @param {Object} lightPosition - The globe's lightPosition uniform, shared so the Sun updates both
+     * @returns {THREE.ShaderMaterial}
+     */
+    createMaterial(lightPosition) {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                lightPosition,
+                atmosphereColor: { value: new THREE.Color() },
+                sunsetColor: { value: new THREE.Color() },
+                thickness: { value: 0 },
+                density: { value: 0 }
+            },
+            vertexShader: this.getVertexShader(),
+            fragmentShader: this.getFragmentShader(),
+            side: THREE.BackSide,
+            blending: THREE.AdditiveBlending,
+            transparent: true,
+            depthWrite: false
+        });
+    }
+
+    getVertexShader() {
+        return `
+            uniform vec3 lightPosition;
+
+            varying vec3 vWorldNormal;
+            varying vec3 vWorldPosition;
+            varying vec3 vWorldLightPosition;
+
+            void main() {
+                vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                vWorldPosition = worldPosition.xyz;
+                vWorldNormal = normalize(mat3(modelMatrix) * normal);
+                vWorldLightPosition = (modelMatrix * vec4(lightPosition, 1.0)).xyz;
+
+                gl_Position = projectionMatrix * viewMatrix * worldPosition;
+            }
+        `;
+    }
+
+    getFragmentShader() {
+        return `
+            uniform vec3 atmosphereColor;
+            uniform vec3 sunsetColor;
+            uniform float thickness;
+            uniform float density;
+
+            varying vec3 vWorldNormal;
+            varying vec3 vWorldPosition;
+            varying vec3 vWorldLightPosition;
+
+            void main() {
+                vec3 N = normalize(vWorldNormal);
+                vec3 V = normalize(cameraPosition - vWorldPosition);
+                vec3 L = normalize(vWorldLightPosition - vWorldPosition);
+
+                // Back faces point away from the viewer: -dot(N, V) is 0 at the shell's edge
+                // and grows towards the planet's limb, where the air column is densest
+                float limb = sqrt(1.0 - 1.0 / ((1.0 + thickness) * (1.0 + thickness)));
+                float height = clamp(-dot(N, V) / limb, 0.0, 1.0);
+                float glow = height * height;
+
+                // Daylight reaches a little past the terminator; sunset colours sit on it
+                float sunAngle = dot(N, L);
+                float day = smoothstep(-0.25, 0.3, sunAngle);
+                float sunset = 1.0 - smoothstep(0.0, 0.3, abs(sunAngle + 0.05));
+
+                // Forward (Mie) scattering when looking towards the sun
+                float mie = pow(max(dot(-V, L), 0.0), 8.0);
+
+                vec3 color = atmosphereColor * day + sunsetColor * sunset * 0.8 + vec3(1.0, 0.9, 0.7) * mie * day;
+                gl_FragColor = vec4(color * glow * density, 1.0);
+            }
+        `;
+    }
+}
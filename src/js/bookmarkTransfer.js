@@ -0,0 +1,117 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { parseGeoJson, toGeoJson, toBookmarkList, parseBookmarkList } from './geoJson';
+
+/**
+ * Import and export controls for pins and imported shapes, shown in the pin sidebar.
+ * Accepts GeoJSON files and JSON lists of Preface bookmark URLs.
+ */
+export class BookmarkTransfer {
+    /**
+     * @param {HTMLElement} parent - Element to add the controls to
+     * @param {PinManager} pinManager - Holds the pins of the current planet
+     * @param {FeatureLayer} featureLayer - Holds the lines and polygons of the current planet
+     */
+    constructor(parent, pinManager, featureLayer) {
+        this.pinManager = pinManager;
+        this.featureLayer = featureLayer;
+        this.createControls(parent);
+    }
+
+    createControls(parent) {
+        const controls = document.createElement('div');
+        controls.className = 'bookmark-transfer';
+        controls.innerHTML = `
+            <input type="file" accept=".json,.geojson,application/json,application/geo+json" hidden>
+            <button type="button" data-action="import">Import JSON / GeoJSON</button>
+            <button type="button" data-action="geojson">Export GeoJSON</button>
+            <button type="button" data-action="bookmarks">Export bookmarks</button>
+            <button type="button" data-action="clear">Clear imported shapes</button>
+            <div class="pin-message"></div>
+        `;
+        parent.appendChild(controls);
+
+        this.fileInput = controls.querySelector('input[type="file"]');
+        this.message = controls.querySelector('.pin-message');
+
+        controls.querySelector('[data-action="import"]').addEventListener('click', () => this.fileInput.click());
+        controls.querySelector('[data-action="geojson"]').addEventListener('click', () => this.exportGeoJson());
+        controls.querySelector('[data-action="bookmarks"]').addEventListener('click', () => this.exportBookmarks());
+        controls.querySelector('[data-action="clear"]').addEventListener('click', () => this.featureLayer.clear());
+
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                await this.importFile(file);
+            }
+        });
+    }
+
+    /**
+     * Import a GeoJSON document or a bookmark list onto the current planet.
+     * Points become pins; lines and polygons are drawn by the feature layer.
+     * @param {File} file - The file picked by the user
+     */
+    async importFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+
+            if (Array.isArray(data)) {
+                this.importBookmarks(data);
+                return;
+            }
+
+            const { points, lines, polygons } = parseGeoJson(data);
+            this.pinManager.importPins(points.map(({ lat, long, properties }) => ({
+                name: properties.name,
+                color: properties.color,
+                note: properties.note,
+                createdAt: properties.createdAt,
+                lat,
+                long
+            })));
+            this.featureLayer.addShapes({ lines, polygons });
+            this.message.textContent =
+                `Imported ${points.length} points, ${lines.length} lines, ${polygons.length} polygons`;
+        } catch (error) {
+            console.error(`Failed to import ${file.name}:`, error);
+            this.message.textContent = `Import failed: ${error.message}`;
+        }
+    }
+
+    importBookmarks(list) {
+        const bookmarks = parseBookmarkList(list);
+
+        // Bookmarks carry their own planet; file them under it
+        const byPlanet = new Map();
+        bookmarks.forEach(({ name, lat, long, planetName }) => {
+            const planet = planetName || this.pinManager.planet_name;
+            if (!byPlanet.has(planet)) byPlanet.set(planet, []);
+            byPlanet.get(planet).push({ name, lat, long });
+        });
+        byPlanet.forEach((pins, planet) => this.pinManager.importPins(pins, planet));
+
+        this.message.textContent = `Imported ${bookmarks.length} bookmarks`;
+    }
+
+    exportGeoJson() {
+        const geoJson = toGeoJson(this.pinManager.pins, this.featureLayer);
+        this.download(`${this.pinManager.planet_name}.geojson`, geoJson, 'application/geo+json');
+    }
+
+    exportBookmarks() {
+        const bookmarks = toBookmarkList(this.pinManager.pins, this.pinManager.planet_name);
+        this.download(`${this.pinManager.planet_name}_bookmarks.json`, bookmarks, 'application/json');
+    }
+
+    download(filename, data, type) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type });
+        const url = URL.createObjectURL(blob);
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = filename;
+        anchor.click();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,40 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { Sun } from './sun';
+
+/**
+ * Debug-mode readout of the texture cache: hits, misses and memory in use.
+ */
+export class CacheStats {
+    /**
+     * @param {TextureCache} textureCache - The cache to report on
+     */
+    constructor(textureCache) {
+        this.textureCache = textureCache;
+        this.element = document.createElement('div');
+        this.element.id = 'cache-stats';
+        document.body.appendChild(this.element);
+        this.lastText = null;
+        this.updateVisibility();
+    }
+
+    updateVisibility() {
+        this.element.style.display = Sun.isDebugMode() ? 'block' : 'none';
+    }
+
+    /**
+     * Refresh the readout; call once per frame. Cheap when nothing changed.
+     */
+    update() {
+        if (!Sun.isDebugMode()) return;
+
+        const { hits, misses, bytes, budget, planets } = this.textureCache.getStats();
+        const toMB = (value) => (value / (1024 * 1024)).toFixed(1);
+        const text = `Texture cache: ${hits} hits, ${misses} misses\n` +
+            `${toMB(bytes)} / ${toMB(budget)} MB · ${planets.join(', ')}`;
+        if (text !== this.lastText) {
+            this.element.textContent = text;
+            this.lastText = text;
+        }
+    }
+}
@@ -0,0 +1,98 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { centralAngle, slerp } from './geodesy';
+
+/**
+ * Animates the camera to a point of the globe along the great circle between
+ * the current view and the target, easing in and out. Long jumps pull out to a
+ * higher orbit on the way so the globe stays in view.
+ */
+export class CameraAnimator {
+    static MIN_DURATION = 800; // ms
+    static MAX_DURATION = 3000; // ms
+    static LONG_JUMP_ANGLE = THREE.MathUtils.degToRad(30); // Jumps longer than this pull out
+    static MAX_LIFT = 2.0; // Extra distance halfway through a jump to the opposite side
+
+    /**
+     * @param {EventManager} eventManager - Owns the camera and its zoom limits
+     */
+    constructor(eventManager) {
+        this.eventManager = eventManager;
+        this.flight = null;
+    }
+
+    /**
+     * Fly to a point of the globe. Starting a new flight cancels the current one.
+     * @param {THREE.Vector3} point - Target direction in the globe's local frame
+     * @param {number} [distance] - Camera distance at the target, defaults to the current distance
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Flight time in ms, by default derived from the jump length
+     * @returns {Promise<boolean>} Resolves true on arrival, false if the flight was interrupted
+     */
+    flyTo(point, distance = this.eventManager.currentDistance, { duration } = {}) {
+        this.cancel();
+
+        const { minDistance, maxDistance, currentDistance } = this.eventManager;
+        const from = this.eventManager.getViewDirection();
+        const to = point.clone().normalize();
+        const angle = centralAngle(from, to);
+        const toDistance = THREE.MathUtils.clamp(distance, minDistance, maxDistance);
+
+        let lift = 0;
+        if (angle > CameraAnimator.LONG_JUMP_ANGLE) {
+            const headroom = maxDistance - Math.max(currentDistance, toDistance);
+            lift = Math.max(0, Math.min(headroom, CameraAnimator.MAX_LIFT * angle / Math.PI));
+        }
+
+        return new Promise(resolve => {
+            this.flight = {
+                from,
+                to,
+                angle,
+                fromDistance: currentDistance,
+                toDistance,
+                lift,
+                startTime: performance.now(),
+                duration: duration ?? THREE.MathUtils.lerp(
+                    CameraAnimator.MIN_DURATION, CameraAnimator.MAX_DURATION, angle / Math.PI
+                ),
+                resolve
+            };
+        });
+    }
+
+    /**
+     * Stop the current flight where it is, e.g. because the user grabbed the globe.
+     */
+    cancel() {
+        if (this.flight) {
+            const { resolve } = this.flight;
+            this.flight = null;
+            resolve(false);
+        }
+    }
+
+    isActive() {
+        return this.flight !== null;
+    }
+
+    /**
+     * Advance the current flight; call once per frame.
+     */
+    update() {
+        if (!this.flight) return;
+
+        const { from, to, angle, fromDistance, toDistance, lift, startTime, duration, resolve } = this.flight;
+        const progress = duration > 0 ? Math.min((performance.now() - startTime) / duration, 1) : 1;
+        const t = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2; // ease in-out cubic
+
+        const distance = THREE.MathUtils.lerp(fromDistance, toDistance, t) + lift * Math.sin(Math.PI * t);
+        this.eventManager.placeCamera(slerp(from, to, t, angle), distance);
+
+        if (progress === 1) {
+            this.flight = null;
+            resolve(true);
+        }
+    }
+}
@@ -0,0 +1,32 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+const FLASH_DURATION = 1500; // ms
+
+/**
+ * Copy text to the clipboard and show the outcome on the control that asked for it.
+ * navigator.clipboard only exists in secure contexts (https or localhost); elsewhere,
+ * such as the dev server opened on a LAN address, this reports a failure instead of throwing.
+ * @param {string} text - The text to copy
+ * @param {HTMLElement} element - Shows "Copied!" or "Copy failed"
+ * @param {Object} [options]
+ * @param {string} [options.restoreText] - Text to put back after FLASH_DURATION; without it the message stays
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+export async function copyWithFeedback(text, element, { restoreText } = {}) {
+    let copied = false;
+    try {
+        if (!navigator.clipboard) throw new Error('the clipboard needs an https or localhost page');
+        await navigator.clipboard.writeText(text);
+        copied = true;
+    } catch (error) {
+        console.warn('Copying to the clipboard failed:', error.message);
+    }
+
+    element.textContent = copied ? 'Copied!' : 'Copy failed';
+    if (restoreText !== undefined) {
+        setTimeout(() => {
+            element.textContent = restoreText;
+        }, FLASH_DURATION);
+    }
+    return copied;
+}
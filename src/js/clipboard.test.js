@@ -0,0 +1,45 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { copyWithFeedback } from './clipboard';
+
+describe('copyWithFeedback', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        vi.useRealTimers();
+    });
+
+    it('copies the text and flashes the result', async () => {
+        vi.useFakeTimers();
+        const writeText = vi.fn().mockResolvedValue();
+        vi.stubGlobal('navigator', { clipboard: { writeText } });
+        const button = { textContent: 'Copy' };
+
+        expect(await copyWithFeedback('hello', button, { restoreText: 'Copy' })).toBe(true);
+        expect(writeText).toHaveBeenCalledWith('hello');
+        expect(button.textContent).toBe('Copied!');
+
+        vi.runAllTimers();
+        expect(button.textContent).toBe('Copy');
+    });
+
+    it('reports a failure where the page has no clipboard', async () => {
+        // Insecure contexts, such as the dev server on a LAN address, have no navigator.clipboard
+        vi.stubGlobal('navigator', {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const item = { textContent: 'Copy bookmark' };
+
+        expect(await copyWithFeedback('hello', item)).toBe(false);
+        expect(item.textContent).toBe('Copy failed');
+    });
+
+    it('reports a refused write', async () => {
+        vi.stubGlobal('navigator', { clipboard: { writeText: vi.fn().mockRejectedValue(new Error('denied')) } });
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const item = { textContent: '' };
+
+        expect(await copyWithFeedback('hello', item)).toBe(false);
+        expect(item.textContent).toBe('Copy failed');
+    });
+});
@@ -0,0 +1,74 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { latLongToVector } from './utils';
+
+// Formats the coordinate readouts can use, with their menu labels
+export const COORDINATE_FORMATS = {
+    decimal: 'Decimal degrees',
+    dms: 'Degrees, minutes, seconds',
+    radians: 'Radians (bookmark)',
+    xyz: 'Unit vector XYZ'
+};
+
+const STORAGE_KEY = 'preface-coordinate-format';
+const DEFAULT_SETTINGS = { format: 'decimal', precision: 2 };
+
+/**
+ * Write a location in one of COORDINATE_FORMATS. Every format except XYZ is
+ * accepted back by parseCoordinates.
+ * @param {{lat: number, long: number}} coords - Location in degrees
+ * @param {Object} [settings]
+ * @param {string} [settings.format='decimal'] - Key of COORDINATE_FORMATS
+ * @param {number} [settings.precision=2] - Decimals for decimal degrees
+ * @returns {string} The formatted location
+ */
+export function formatCoordinates({ lat, long }, { format = 'decimal', precision = 2 } = {}) {
+    switch (format) {
+        case 'dms':
+            return `${formatDms(lat, 'N', 'S')} ${formatDms(long, 'E', 'W')}`;
+        case 'radians':
+            return `${THREE.MathUtils.degToRad(lat).toFixed(6)}, ${THREE.MathUtils.degToRad(long).toFixed(6)} rad`;
+        case 'xyz': {
+            const { x, y, z } = latLongToVector(lat, long);
+            return `X: ${x.toFixed(5)} Y: ${y.toFixed(5)} Z: ${z.toFixed(5)}`;
+        }
+        default:
+            return `${lat.toFixed(precision)}°, ${long.toFixed(precision)}°`;
+    }
+}
+
+/**
+ * @param {number} value - Angle in degrees
+ * @param {string} positive - Hemisphere letter for values of 0 and up
+ * @param {string} negative - Hemisphere letter for negative values
+ * @returns {string} e.g. 43°12'00.0"W
+ */
+function formatDms(value, positive, negative) {
+    // Round on tenths of a second first, so 59.96" carries into the minutes
+    const tenths = Math.round(Math.abs(value) * 36000);
+    const degrees = Math.floor(tenths / 36000);
+    const minutes = Math.floor((tenths % 36000) / 600);
+    const seconds = (tenths % 600) / 10;
+    const hemisphere = value < 0 && tenths > 0 ? negative : positive;
+    return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(1).padStart(4, '0')}"${hemisphere}`;
+}
+
+/**
+ * @returns {{format: string, precision: number}} The saved format setting
+ */
+export function loadFormatSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return { ...DEFAULT_SETTINGS, ...saved };
+    } catch (error) {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * @param {{format: string, precision: number}} settings - The format setting to keep
+ */
+export function saveFormatSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,52 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { formatCoordinates } from './coordinateFormat';
+import { parseCoordinates } from './coordinates';
+
+// Largest error each format's rounding allows, in degrees (a hair more for floating point)
+const FORMATS = [
+    { format: 'decimal', precision: 2, tolerance: 0.005 + 1e-9 },
+    { format: 'decimal', precision: 6, tolerance: 0.0000005 + 1e-9 },
+    { format: 'dms', tolerance: 0.05 / 3600 + 1e-9 },                          // tenths of a second
+    { format: 'radians', tolerance: THREE.MathUtils.radToDeg(0.0000005) + 1e-9 } // six decimals of a radian
+];
+
+const LOCATIONS = [
+    { lat: 12.5, long: -43.2 },
+    { lat: -33.8688197, long: 151.2092955 },
+    { lat: -0.0001, long: -0.0001 },              // negative, but rounds to zero in some formats
+    { lat: 10.99999, long: -20.49999 },           // 59.96" carries into the next minute and degree
+    { lat: 45.999986, long: 179.999999 },
+    { lat: 89.9, long: 180 },
+    { lat: -89.9, long: -180 },
+    { lat: 90, long: 0 },
+    { lat: -90, long: -120.25 }
+];
+
+// Longitudes are equal if they differ by whole turns: 180° and -180° are the same meridian
+function longitudeDifference(a, b) {
+    return Math.abs(THREE.MathUtils.euclideanModulo(a - b + 180, 360) - 180);
+}
+
+describe('formatCoordinates', () => {
+    FORMATS.forEach(({ format, precision, tolerance }) => {
+        const label = precision === undefined ? format : `${format} (${precision} decimals)`;
+
+        it(`writes ${label} that parseCoordinates reads back`, () => {
+            LOCATIONS.forEach(coords => {
+                const text = formatCoordinates(coords, { format, precision });
+                const parsed = parseCoordinates(text);
+
+                expect(Math.abs(parsed.lat - coords.lat), text).toBeLessThanOrEqual(tolerance);
+                expect(longitudeDifference(parsed.long, coords.long), text).toBeLessThanOrEqual(tolerance);
+            });
+        });
+    });
+
+    it('carries rounded seconds into the minutes and degrees', () => {
+        expect(formatCoordinates({ lat: 10.99999, long: -20.49999 }, { format: 'dms' })).toBe('11°00\'00.0"N 20°30\'00.0"W');
+        expect(formatCoordinates({ lat: -0.00001, long: 0 }, { format: 'dms' })).toBe('0°00\'00.0"N 0°00\'00.0"E');
+    });
+});
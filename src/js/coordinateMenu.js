@@ -0,0 +1,53 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { copyWithFeedback } from './clipboard';
+
+/**
+ * Small context menu of "copy" actions, opened where the globe was clicked.
+ */
+export class CoordinateMenu {
+    constructor() {
+        this.element = document.createElement('ul');
+        this.element.id = 'coordinate-menu';
+        document.body.appendChild(this.element);
+
+        // Any press outside the menu, or Escape, closes it
+        document.addEventListener('pointerdown', (e) => {
+            if (!this.element.contains(e.target)) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * @param {{clientX: number, clientY: number}} position - Where to open, in client coordinates
+     * @param {{label: string, text: string}[]} items - Copy actions: the label shown and the text copied
+     */
+    open(position, items) {
+        this.element.innerHTML = '';
+        items.forEach(({ label, text }) => {
+            const item = document.createElement('li');
+            item.textContent = label;
+            item.title = text;
+            item.addEventListener('click', () => this.copy(item, text));
+            this.element.appendChild(item);
+        });
+
+        // Keep the menu on screen
+        this.element.classList.add('visible');
+        const { width, height } = this.element.getBoundingClientRect();
+        this.element.style.left = `${Math.min(position.clientX, window.innerWidth - width - 8)}px`;
+        this.element.style.top = `${Math.min(position.clientY, window.innerHeight - height - 8)}px`;
+    }
+
+    close() {
+        this.element.classList.remove('visible');
+    }
+
+    async copy(item, text) {
+        if (await copyWithFeedback(text, item)) {
+            setTimeout(() => this.close(), 600);
+        }
+    }
+}
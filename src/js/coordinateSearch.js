@@ -0,0 +1,57 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { parseCoordinates } from './coordinates';
+
+/**
+ * "Go to" box that accepts coordinates in several formats or a bookmark URL.
+ */
+export class CoordinateSearch {
+    /**
+     * @param {HTMLElement} parent - Element to add the search box to
+     * @param {Function} onSubmit - Called with the parsed {lat, long, planetName?} location
+     */
+    constructor(parent, onSubmit) {
+        this.onSubmit = onSubmit;
+        this.createForm(parent);
+    }
+
+    createForm(parent) {
+        this.form = document.createElement('form');
+        this.form.id = 'coordinate-search';
+        this.form.innerHTML = `
+            <label for="coordinate-input">Go to:</label>
+            <div class="coordinate-search-row">
+                <input id="coordinate-input" type="text" placeholder="12.5, -43.2" autocomplete="off"
+                    title="Decimal degrees, DMS (12°30'N 43°12'W), radians (0.218, -0.754 rad) or a bookmark URL">
+                <button type="submit">Go</button>
+            </div>
+            <div class="coordinate-error"></div>
+        `;
+        parent.appendChild(this.form);
+
+        this.input = this.form.querySelector('input');
+        this.error = this.form.querySelector('.coordinate-error');
+
+        this.form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.submit();
+        });
+        this.input.addEventListener('input', () => {
+            this.error.textContent = '';
+        });
+    }
+
+    async submit() {
+        let location;
+        try {
+            location = parseCoordinates(this.input.value);
+        } catch (error) {
+            this.error.textContent = error.message;
+            return;
+        }
+
+        this.error.textContent = '';
+        this.input.blur();
+        await this.onSubmit(location);
+    }
+}
@@ -0,0 +1,112 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { wrapLongitude } from './utils';
+import { parseDeepLink } from './deepLink';
+
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)';
+const PAIR_PATTERN = new RegExp(`^(${NUMBER})\\s*(?:[,;]\\s*|\\s+)(${NUMBER})$`);
+const DMS_PATTERN = new RegExp(
+    `(${NUMBER})\\s*°?\\s*` +                  // degrees
+    `(?:(${NUMBER})\\s*['′]\\s*)?` +           // minutes
+    `(?:(${NUMBER})\\s*(?:["″]|'')\\s*)?` +    // seconds
+    `([NSEW])?`,                               // hemisphere
+    'gi'
+);
+const FORMATS_HINT = 'Try "12.5, -43.2", "12°30\'N 43°12\'W", "0.218, -0.754 rad" or a bookmark URL';
+
+/**
+ * Read a location typed or pasted by the user. Accepted formats:
+ * - decimal degrees, latitude first: "12.5, -43.2"
+ * - degrees-minutes-seconds: "12°30'N 43°12'W", "12°30'15\"N, 43°12'W"
+ * - radians as used in the bookmark URL, marked with "rad": "0.218, -0.754 rad"
+ * - a full Preface bookmark URL, which may also name the planet
+ * Longitudes are wrapped like calculateCameraOrientation does; out-of-range
+ * latitudes are rejected.
+ * @param {string} input - The user's input
+ * @returns {{lat: number, long: number, planetName?: ?string, rotation?: ?Object}} The location in degrees
+ * @throws {Error} With a message meant for the user if the input can't be read
+ */
+export function parseCoordinates(input) {
+    const text = input.trim();
+    if (!text) {
+        throw new Error('Enter a location');
+    }
+
+    let location;
+    if (/^https?:\/\//i.test(text)) {
+        location = parseUrl(text);
+    } else if (/\brad(ians?)?\b/i.test(text)) {
+        const [lat, long] = parsePair(text.replace(/\brad(ians?)?\b/gi, '').trim(), text);
+        location = { lat: THREE.MathUtils.radToDeg(lat), long: THREE.MathUtils.radToDeg(long) };
+    } else if (PAIR_PATTERN.test(text)) {
+        const [lat, long] = parsePair(text, text);
+        location = { lat, long };
+    } else {
+        location = parseDms(text);
+    }
+
+    if (!(location.lat >= -90 && location.lat <= 90)) {
+        throw new Error(`Latitude ${location.lat.toFixed(4)}° is out of range (-90° to 90°)`);
+    }
+    location.long = wrapLongitude(location.long);
+    return location;
+}
+
+function parseUrl(text) {
+    let link = null;
+    try {
+        link = parseDeepLink(new URL(text));
+    } catch (error) {
+        throw new Error('That URL could not be read');
+    }
+    if (!link) {
+        throw new Error('The URL has no valid latitude and longitude parameters');
+    }
+    return link;
+}
+
+function parsePair(text, original) {
+    const match = PAIR_PATTERN.exec(text);
+    if (!match) {
+        throw new Error(`Could not read "${original}". ${FORMATS_HINT}`);
+    }
+    return [parseFloat(match[1]), parseFloat(match[2])];
+}
+
+function parseDms(text) {
+    const components = [];
+    const rest = text.replace(DMS_PATTERN, (match, degrees, minutes, seconds, hemisphere) => {
+        components.push({ degrees, minutes, seconds, hemisphere: hemisphere && hemisphere.toUpperCase() });
+        return ' ';
+    });
+
+    if (components.length !== 2 || !/^[\s,;]*$/.test(rest)) {
+        throw new Error(`Could not read "${text}". ${FORMATS_HINT}`);
+    }
+
+    // Hemisphere letters decide which value is which; without them latitude comes first
+    const [first, second] = components;
+    const isLatitude = ({ hemisphere }) => hemisphere === 'N' || hemisphere === 'S';
+    const isLongitude = ({ hemisphere }) => hemisphere === 'E' || hemisphere === 'W';
+    const [latPart, longPart] = isLongitude(first) || isLatitude(second) ? [second, first] : [first, second];
+
+    if (isLongitude(latPart) || isLatitude(longPart)) {
+        throw new Error('Give one latitude (N/S) and one longitude (E/W)');
+    }
+
+    return { lat: dmsToDegrees(latPart), long: dmsToDegrees(longPart) };
+}
+
+function dmsToDegrees({ degrees, minutes = '0', seconds = '0', hemisphere }) {
+    const d = parseFloat(degrees);
+    const m = parseFloat(minutes);
+    const s = parseFloat(seconds);
+    if (m < 0 || m >= 60 || s < 0 || s >= 60) {
+        throw new Error('Minutes and seconds must be between 0 and 60');
+    }
+
+    const value = Math.abs(d) + m / 60 + s / 3600;
+    const negative = d < 0 || degrees.trim().startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+    return negative ? -value : value;
+}
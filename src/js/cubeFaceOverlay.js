@@ -0,0 +1,51 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { createTextSprite } from './textSprite';
+
+// Cube map faces in the order TextureLoader.loadTextures loads {planet}_0..5.png
+export const CUBE_FACES = [
+    { name: 'posx', center: new THREE.Vector3(1, 0, 0) },
+    { name: 'negx', center: new THREE.Vector3(-1, 0, 0) },
+    { name: 'posy', center: new THREE.Vector3(0, 1, 0) },
+    { name: 'negy', center: new THREE.Vector3(0, -1, 0) },
+    { name: 'posz', center: new THREE.Vector3(0, 0, 1) },
+    { name: 'negz', center: new THREE.Vector3(0, 0, -1) }
+];
+
+/**
+ * Debug overlay for texture seams: the globe shader tints each cube face and draws
+ * the face borders; this class adds a label with the face name and image index.
+ */
+export class CubeFaceOverlay {
+    /**
+     * @param {THREE.Group} group - Group the globe lives in; labels are added to it
+     * @param {Globe} globe - The globe whose shader draws the faces
+     */
+    constructor(group, globe) {
+        this.globe = globe;
+        this.visible = false;
+
+        this.labels = new THREE.Group();
+        this.labels.visible = false;
+        CUBE_FACES.forEach(({ name, center }, index) => {
+            const label = createTextSprite(`${index} · ${name}`, { height: 0.035 });
+            label.position.copy(center).multiplyScalar(1.02);
+            this.labels.add(label);
+        });
+        group.add(this.labels);
+    }
+
+    /**
+     * @param {boolean} visible - Whether to show the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.globe.setCubeFacesVisible(visible);
+        this.labels.visible = visible;
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+}
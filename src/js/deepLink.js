@@ -0,0 +1,203 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { calculateCameraOrientation } from './utils';
+
+/**
+ * Where bookmark URLs point and what they carry, unless configured otherwise.
+ * baseUrl and the values of params may use {lat} and {long} (radians) and {planet}.
+ */
+export const DEFAULT_DEEP_LINK_CONFIG = {
+    baseUrl: 'https://preface.pp.studio/bookmarks',
+    altitude: 600000.586887, // m
+    name: 'preface_teleport',
+    params: {}               // Extra query parameters; null removes a standard one
+};
+
+let deepLinkConfig = DEFAULT_DEEP_LINK_CONFIG;
+const planetDeepLinkConfigs = {};
+
+/**
+ * Point bookmark URLs somewhere else, such as a staging build or a local game client.
+ * Fields left out keep their current value; params are merged key by key.
+ * @param {Object} config - {baseUrl, altitude, name, params}, see DEFAULT_DEEP_LINK_CONFIG
+ * @param {string} [planetName] - Only apply to this planet's bookmarks, on top of the shared config
+ */
+export function setDeepLinkConfig(config, planetName) {
+    if (planetName === undefined) {
+        deepLinkConfig = mergeDeepLinkConfig(deepLinkConfig, config);
+    } else {
+        planetDeepLinkConfigs[planetName] = mergeDeepLinkConfig(planetDeepLinkConfigs[planetName] || {}, config);
+    }
+}
+
+/**
+ * @param {string} [planetName] - The planet whose bookmarks are built
+ * @returns {{baseUrl: string, altitude: number, name: string, params: Object}} The config in effect
+ */
+export function getDeepLinkConfig(planetName) {
+    return mergeDeepLinkConfig(deepLinkConfig, planetDeepLinkConfigs[planetName] || {});
+}
+
+function mergeDeepLinkConfig(base, config = {}) {
+    return { ...base, ...config, params: { ...base.params, ...config.params } };
+}
+
+/**
+ * Build the Preface bookmark URL that teleports the player to a location.
+ * The target comes from the deep-link config (see setDeepLinkConfig).
+ * @param {{lat: number, long: number}} coords - Location in degrees
+ * @param {string} planetName - Planet the location belongs to
+ * @param {Object} [options]
+ * @param {{yaw: number, pitch: number, roll: number}} [options.rotation] - Camera rotation, defaults to facing north
+ * @param {string} [options.name] - Bookmark name, defaults to the configured one
+ * @param {number} [options.altitude] - Altitude in m, defaults to the configured one (see getViewAltitude)
+ * @returns {string} The bookmark URL
+ */
+export function buildBookmarkUrl(coords, planetName, { rotation, name, altitude } = {}) {
+    const config = getDeepLinkConfig(planetName);
+    const { yaw, pitch, roll } = rotation || calculateCameraOrientation(coords.lat, coords.long);
+    const placeholders = {
+        lat: THREE.MathUtils.degToRad(coords.lat),
+        long: THREE.MathUtils.degToRad(coords.long),
+        planet: planetName
+    };
+    const fill = (template, encode = String) => String(template).replace(/\{(lat|long|planet)\}/g,
+        (_, key) => encode(placeholders[key]));
+
+    const params = {
+        longitude: placeholders.long,
+        latitude: placeholders.lat,
+        altitude: altitude ?? config.altitude,
+        rotation: `${yaw},${pitch},${roll}`,
+        name: name || config.name,
+        planet_name: planetName
+    };
+    Object.entries(config.params).forEach(([key, value]) => {
+        if (value === null) {
+            delete params[key];
+        } else {
+            params[key] = fill(value);
+        }
+    });
+
+    const baseUrl = fill(config.baseUrl, encodeParam);
+    const query = Object.entries(params)
+        .map(([key, value]) => `${encodeParam(key)}=${encodeParam(value)}`)
+        .join('&');
+    return query ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}${query}` : baseUrl;
+}
+
+/**
+ * Bookmark altitude that matches the viewer's zoom.
+ * @param {number} distance - Camera distance from the planet's centre, in planet radii
+ * @param {number} radiusKm - Planet radius in km
+ * @returns {number} Altitude above the surface in m
+ */
+export function getViewAltitude(distance, radiusKm) {
+    return (distance - 1) * radiusKm * 1000;
+}
+
+/**
+ * URL-encode a query value, leaving the commas of rotation readable.
+ * @param {string|number} value
+ * @returns {string}
+ */
+function encodeParam(value) {
+    return encodeURIComponent(value).replaceAll('%2C', ',');
+}
+
+/**
+ * Build a link that opens this viewer at a location (see parseDeepLink).
+ * Other parameters of the current URL, such as the time, are kept.
+ * @param {{lat: number, long: number}} coords - Location in degrees
+ * @param {string} planetName - Planet the location belongs to
+ * @param {Location} [location] - The viewer's location to build on
+ * @returns {string} The permalink
+ */
+export function buildViewerUrl(coords, planetName, location = window.location) {
+    const url = new URL(location.href);
+    url.hash = '';
+    url.searchParams.delete('tour');
+    url.searchParams.set('latitude', THREE.MathUtils.degToRad(coords.lat));
+    url.searchParams.set('longitude', THREE.MathUtils.degToRad(coords.long));
+    url.searchParams.set('planet_name', planetName);
+    return url.toString();
+}
+
+/**
+ * Read a deep link from the page URL.
+ * Accepts the same parameters as the bookmark URL (latitude and longitude in radians,
+ * planet_name and rotation), either in the query string or in the hash.
+ * @param {Location} location - The location to read from
+ * @returns {{lat: number, long: number, planetName: ?string, rotation: ?{yaw: number, pitch: number, roll: number}}|null}
+ *          The linked location in degrees, or null if the URL holds no valid link
+ */
+export function parseDeepLink(location = window.location) {
+    let params = new URLSearchParams(location.search);
+    if (!params.has('latitude')) {
+        params = new URLSearchParams(location.hash.replace(/^#\??/, ''));
+    }
+    if (!params.has('latitude') || !params.has('longitude')) {
+        return null;
+    }
+
+    const lat_rad = parseFloat(params.get('latitude'));
+    const long_rad = parseFloat(params.get('longitude'));
+    if (!Number.isFinite(lat_rad) || !Number.isFinite(long_rad) || Math.abs(lat_rad) > Math.PI / 2) {
+        console.warn('Ignoring invalid deep link coordinates:', params.get('latitude'), params.get('longitude'));
+        return null;
+    }
+
+    return {
+        lat: THREE.MathUtils.radToDeg(lat_rad),
+        long: THREE.MathUtils.radToDeg(long_rad),
+        planetName: params.get('planet_name'),
+        rotation: parseRotation(params.get('rotation'))
+    };
+}
+
+/**
+ * Parse a "yaw,pitch,roll" rotation parameter.
+ * @param {?string} value - The raw parameter value
+ * @returns {?{yaw: number, pitch: number, roll: number}} The rotation, or null if missing or malformed
+ */
+function parseRotation(value) {
+    if (!value) return null;
+
+    const angles = value.split(',').map(parseFloat);
+    if (angles.length !== 3 || !angles.every(Number.isFinite)) {
+        return null;
+    }
+
+    const [yaw, pitch, roll] = angles;
+    return { yaw, pitch, roll };
+}
+
+/**
+ * Read a parameter of the viewer's own URL, from the query string or the hash.
+ * @param {string} name - The parameter name
+ * @param {Location} location - The location to read from
+ * @returns {?string} The parameter value, or null if it is not set
+ */
+export function getUrlParam(name, location = window.location) {
+    const params = new URLSearchParams(location.search);
+    const hashParams = new URLSearchParams(location.hash.replace(/^#\??/, ''));
+    return params.get(name) ?? hashParams.get(name);
+}
+
+/**
+ * Update a parameter of the viewer's own URL without reloading, so the address bar
+ * always holds a link to the current view.
+ * @param {string} name - The parameter name
+ * @param {?string} value - The new value, or null to remove the parameter
+ */
+export function setUrlParam(name, value) {
+    const url = new URL(window.location.href);
+    if (value === null) {
+        url.searchParams.delete(name);
+    } else {
+        url.searchParams.set(name, value);
+    }
+    window.history.replaceState(window.history.state, '', url);
+}
@@ -0,0 +1,52 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect } from 'vitest';
+import { buildBookmarkUrl, getViewAltitude, setDeepLinkConfig } from './deepLink';
+import { calculateCameraOrientation } from './utils';
+
+describe('getViewAltitude', () => {
+    it('scales the camera height above the surface by the planet radius', () => {
+        expect(getViewAltitude(1, 6371)).toBe(0);
+        expect(getViewAltitude(2, 6371)).toBe(6371000);
+        expect(getViewAltitude(1.5, 3389.5)).toBe(1694750);
+    });
+});
+
+describe('buildBookmarkUrl', () => {
+    it('writes the known north-facing bookmark by default', () => {
+        expect(buildBookmarkUrl({ lat: 10, long: 20 }, 'Dractun')).toBe(
+            'https://preface.pp.studio/bookmarks?longitude=0.3490658503988659&latitude=0.17453292519943295' +
+            '&altitude=600000.586887&rotation=-2.7925268031909276,-1.3962634015954638,0' +
+            '&name=preface_teleport&planet_name=Dractun'
+        );
+    });
+
+    it('keeps the rotation of southern bookmarks', () => {
+        const url = new URL(buildBookmarkUrl({ lat: -30, long: 40 }, 'Dractun'));
+        const [yaw, pitch, roll] = url.searchParams.get('rotation').split(',').map(Number);
+        expect(yaw).toBeCloseTo(0.6981317007977318, 12);
+        expect(pitch).toBeCloseTo(-1.0471975511965979, 12);
+        // π and -π are the same roll
+        expect(Math.abs(roll)).toBeCloseTo(Math.PI, 12);
+    });
+
+    it('carries a view altitude and heading when given', () => {
+        const rotation = calculateCameraOrientation(10, 20, 90);
+        const url = new URL(buildBookmarkUrl({ lat: 10, long: 20 }, 'Dractun', {
+            rotation,
+            altitude: getViewAltitude(1.5, 6371),
+            name: 'my spot'
+        }));
+        expect(url.searchParams.get('altitude')).toBe('3185500');
+        expect(url.searchParams.get('rotation')).toBe(`${rotation.yaw},${rotation.pitch},${rotation.roll}`);
+        expect(url.searchParams.get('name')).toBe('my spot');
+    });
+
+    it('uses a planet\'s own target with placeholders filled in', () => {
+        setDeepLinkConfig({ baseUrl: 'http://localhost:8080/{planet}/teleport', params: { at: '{lat},{long}', name: null } }, 'test_planet');
+        const url = buildBookmarkUrl({ lat: 0, long: 0 }, 'test_planet');
+        expect(url).toMatch(/^http:\/\/localhost:8080\/test_planet\/teleport\?longitude=0&latitude=0&/);
+        expect(url).toMatch(/&at=0,0$/);
+        expect(url).not.toMatch(/[?&]name=/);
+    });
+});
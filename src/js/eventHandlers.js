@@ -1,10 +1,38 @@
 // Copyright (C) 2025 PLAYERUNKNOWN Productions
 
 import * as THREE from 'three';
-import { getLatLong, calculateCameraOrientation } from './utils';
+import { getLatLong, latLongToVector, getHeading, calculateCameraOrientation } from './utils';
+import { buildBookmarkUrl, buildViewerUrl, getDeepLinkConfig, getViewAltitude } from './deepLink';
+import { CameraAnimator } from './cameraAnimator';
+import { sphereToCube, getCubeFaceUv } from './sphere';
+import { PositionDetails } from './positionDetails';
+import { CoordinateMenu } from './coordinateMenu';
+import { COORDINATE_FORMATS } from './coordinateFormat';
+import { getLocalSolarTime } from './terminatorOverlay';
+import { DEFAULT_RADIUS_KM } from './geodesy';
+import { copyWithFeedback } from './clipboard';
 
 export class EventManager {
-    constructor(container, scene, camera, renderer, group, sphere, cursor, planet_name) {
+    static TAP_MAX_DURATION = 300; // ms
+    static TAP_TOLERANCE = 10; // px a finger may move and still count as a tap
+    static LONG_PRESS_DELAY = 500; // ms
+    static DRAG_REFERENCE_ALTITUDE = 2.5; // Altitude above the surface at which drag speed is unscaled
+    static GLOBE_SPHERE = new THREE.Sphere(new THREE.Vector3(), 1); // The globe in the group's frame
+    static MATCH_VIEW_STORAGE_KEY = 'preface-deep-link-match-view';
+    static DEFAULT_ORBIT_DAMPING = 0.92;
+    static DEFAULT_ZOOM_DAMPING = 0.8;
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getRadius] - Returns the current planet's radius in km, for bookmark altitudes
+     * @param {number} [options.orbitDamping] - Fraction of the orbit speed kept per 60 Hz frame after a drag (0 stops dead)
+     * @param {number} [options.zoomDamping] - Fraction of the distance to the zoom target left per 60 Hz frame
+     */
+    constructor(container, scene, camera, renderer, group, sphere, cursor, planet_name, {
+        getRadius = () => DEFAULT_RADIUS_KM,
+        orbitDamping = EventManager.DEFAULT_ORBIT_DAMPING,
+        zoomDamping = EventManager.DEFAULT_ZOOM_DAMPING
+    } = {}) {
         this.container = container;
         this.scene = scene;
         this.camera = camera;
@@ -13,11 +41,20 @@ export class EventManager {
         this.sphere = sphere;
         this.cursor = cursor;
         this.planet_name = planet_name;
+        this.getRadius = getRadius;
         
         // DOM elements
-        this.positionInfo = document.getElementById('position-info');
+        this.positionInfo = new PositionDetails(document.getElementById('position-info'), {
+            getPlanetName: () => this.planet_name,
+            getCubeTexture: () => this.sphere.material.uniforms.tCube.value
+        });
+        this.coordinateMenu = new CoordinateMenu();
         this.deepLink = document.getElementById('deep-link');
         this.deepLinkAnchor = document.getElementById('deep-link-anchor');
+        this.deepLinkName = document.getElementById('deep-link-name');
+        this.deepLinkCopy = document.getElementById('deep-link-copy');
+        this.deepLinkMatchView = document.getElementById('deep-link-match-view');
+        this.deepLinkMatchView.checked = localStorage.getItem(EventManager.MATCH_VIEW_STORAGE_KEY) === 'true';
         
         // State
         this.rotationSpeed = 0.001;
@@ -25,11 +62,30 @@ export class EventManager {
         this.isDragging = false;
         this.isSphereHovered = false;
         this.previousMousePosition = { x: 0.0, y: 0.0 };
+        this.selectedLocation = null;
+        this.selectedRotation = null;
+        this.tool = null;
+
+        // Touch state
+        this.pointers = new Map(); // Active pointers by pointerId
+        this.pinchDistance = 0;
+        this.tap = null;
+        this.longPressTimer = null;
+        this.lastTouchTime = 0;
         
         // Camera controls
         this.minDistance = 1.5;
         this.maxDistance = 10;
         this.currentDistance = camera.position.length();
+        this.targetDistance = this.currentDistance;
+        this.cameraAnimator = new CameraAnimator(this);
+
+        // Inertia: damping is the fraction of velocity kept per 60 Hz frame (0 stops dead)
+        this.orbitDamping = orbitDamping;
+        this.zoomDamping = zoomDamping;
+        this.orbitVelocity = { theta: 0, phi: 0 }; // radians per ms
+        this.lastDragTime = 0;
+        this.lastUpdateTime = performance.now();
         
         // Raycaster setup
         this.raycaster = new THREE.Raycaster();
@@ -38,18 +94,22 @@ export class EventManager {
         this.mouse = new THREE.Vector2();
         
         // Bind methods to preserve 'this' context
-        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
         this.handleClick = this.handleClick.bind(this);
-        this.handleMouseDown = this.handleMouseDown.bind(this);
-        this.handleMouseUp = this.handleMouseUp.bind(this);
-        this.handleMouseLeave = this.handleMouseLeave.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
         this.handleWheel = this.handleWheel.bind(this);
         this.handleDeepLinkHover = this.handleDeepLinkHover.bind(this);
         this.handleDeepLinkClick = this.handleDeepLinkClick.bind(this);
+        this.refreshDeepLink = this.refreshDeepLink.bind(this);
+        this.copyDeepLink = this.copyDeepLink.bind(this);
         this.handleResize = this.handleResize.bind(this);
         
         // Create and setup arrow container
         this.createArrowContainer();
+        this.createCoordinateTooltip();
         
         this.setupEventListeners();
         this.setupMarkers();
@@ -59,14 +119,14 @@ export class EventManager {
         
         
         // Add event listeners for UI interaction
-        document.addEventListener('mousedown', (e) => {
+        document.addEventListener('pointerdown', (e) => {
             if (e.target.closest('.light-controls')) {
                 this.isInteractingWithUI = true;
                 e.stopPropagation();
             }
         });
 
-        document.addEventListener('mouseup', () => {
+        document.addEventListener('pointerup', () => {
             this.isInteractingWithUI = false;
         });
 
@@ -134,17 +194,24 @@ export class EventManager {
         // Window resize
         window.addEventListener('resize', this.handleResize);
         
-        // Mouse events
-        this.container.addEventListener('mousemove', this.handleMouseMove);
+        // Pointer events (mouse, touch and pen)
+        this.container.addEventListener('pointermove', this.handlePointerMove);
         this.container.addEventListener('click', this.handleClick);
-        this.container.addEventListener('mousedown', this.handleMouseDown);
-        this.container.addEventListener('mouseup', this.handleMouseUp);
-        this.container.addEventListener('mouseleave', this.handleMouseLeave);
+        this.container.addEventListener('pointerdown', this.handlePointerDown);
+        this.container.addEventListener('pointerup', this.handlePointerUp);
+        this.container.addEventListener('pointercancel', this.handlePointerCancel);
+        this.container.addEventListener('pointerleave', this.handlePointerLeave);
         this.container.addEventListener('wheel', this.handleWheel);
         
         // Deep link events
         this.deepLink.addEventListener('mouseenter', this.handleDeepLinkHover);
         this.deepLink.addEventListener('click', this.handleDeepLinkClick);
+        this.deepLinkName.addEventListener('input', this.refreshDeepLink);
+        this.deepLinkCopy.addEventListener('click', this.copyDeepLink);
+        this.deepLinkMatchView.addEventListener('change', () => {
+            localStorage.setItem(EventManager.MATCH_VIEW_STORAGE_KEY, this.deepLinkMatchView.checked);
+            this.refreshDeepLink();
+        });
     }
 
     // Event handler methods...
@@ -154,23 +221,37 @@ export class EventManager {
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
     }
 
-    handleMouseMove(event) {
+    handlePointerMove(event) {
         if (this.isInteractingWithUI) {
             return; // Skip orbit control if interacting with UI
         }
-        const rect = this.container.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / this.container.clientWidth) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / this.container.clientHeight) * 2 + 1;
 
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObject(this.sphere);
+        if (this.pointers.has(event.pointerId)) {
+            this.pointers.set(event.pointerId, this.getPointerPosition(event));
+        }
+        if (this.pointers.size === 2) {
+            this.handlePinch();
+            return;
+        }
+        if (this.tap) {
+            const position = this.getPointerPosition(event);
+            if (Math.hypot(position.x - this.tap.x, position.y - this.tap.y) > EventManager.TAP_TOLERANCE) {
+                // Moving finger: this is a drag, not a tap or long-press
+                this.tap = null;
+                this.cancelLongPress();
+            }
+        }
 
-        if (intersects.length > 0) {
+        const pick = this.pickSphere(event);
+
+        if (pick) {
             // Hovering over planet surface
-            const point = intersects[0].point.clone();
-            point.applyMatrix4(this.group.matrixWorld.clone().invert());
-            const coords = getLatLong(point.normalize());
-            this.positionInfo.textContent = `Lat: ${coords.lat.toFixed(2)}° Long: ${coords.long.toFixed(2)}°`;
+            const point = pick.point.clone();
+            const coords = getLatLong(point);
+            const subsolarPoint = this.sphere.material.uniforms.lightPosition.value.clone().normalize();
+            this.positionInfo.setText(`${this.positionInfo.format(coords)}` +
+                ` · ${getLocalSolarTime(coords, subsolarPoint)} solar time`);
+            this.positionInfo.update(pick, coords);
             
             this.cursor.position.copy(point.multiplyScalar(1.01));
             this.cursor.visible = true;
@@ -181,7 +262,7 @@ export class EventManager {
             }
         } else {
             // Not hovering over anything
-            this.positionInfo.textContent = 'Lat: -- Long: --';
+            this.positionInfo.setText('Lat: -- Long: --');
             this.cursor.visible = false;
             
             if (!this.isDragging && this.isSphereHovered) {
@@ -196,27 +277,101 @@ export class EventManager {
     }
 
     handleClick(event) {
+        // Taps are handled in handlePointerUp; ignore the click the browser emulates for them
+        if (performance.now() - this.lastTouchTime < 500) {
+            return;
+        }
+        this.selectAt(event);
+    }
+
+    /**
+     * Select the location under a click or tap.
+     * @param {{clientX: number, clientY: number}} position - Pointer position in client coordinates
+     */
+    selectAt(position) {
+        const pick = this.pickSphere(position);
+
+        if (pick) {
+            this.handleSphereClick(pick.point, position);
+        } else if (!this.tool) {
+            this.handleOutsideClick();
+        }
+    }
+
+    /**
+     * Find the point of the globe under a pointer.
+     * The ray is intersected analytically with the unit sphere in the group's local frame,
+     * rather than with the mesh's triangles, and the hit is mapped back onto the cube to
+     * find the texel the shader draws there.
+     * @param {{clientX: number, clientY: number}} event - Pointer position in client coordinates
+     * @returns {?{point: THREE.Vector3, cubePosition: THREE.Vector3, face: number, u: number, v: number}}
+     *          The unit surface point and cube position in the group's frame, with the cube face
+     *          index and its texture coordinates (see getCubeFaceUv), or null if the globe is missed
+     */
+    pickSphere(event) {
         const rect = this.container.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / this.container.clientWidth) * 2 - 1;
         this.mouse.y = -((event.clientY - rect.top) / this.container.clientHeight) * 2 + 1;
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObject(this.sphere);
+        const ray = this.raycaster.ray.clone().applyMatrix4(this.group.matrixWorld.clone().invert());
+        const point = ray.intersectSphere(EventManager.GLOBE_SPHERE, new THREE.Vector3());
+        if (!point) return null;
 
-        if (intersects.length > 0) {
-            this.handleSphereClick(intersects[0].point);
-        } else {
+        return this.pickPoint(point.normalize());
+    }
+
+    /**
+     * @param {THREE.Vector3} point - Point on the unit sphere, in the group's frame
+     * @returns {{point: THREE.Vector3, cubePosition: THREE.Vector3, face: number, u: number, v: number}}
+     *          The point with its position on the cube and its cube face and UV
+     */
+    pickPoint(point) {
+        const cubePosition = sphereToCube(point);
+        return { point, cubePosition, ...getCubeFaceUv(cubePosition) };
+    }
+
+    getPointerPosition(event) {
+        const rect = this.container.getBoundingClientRect();
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+
+    /**
+     * Hand sphere clicks to a tool (e.g. the measure tool) instead of creating teleport links.
+     * @param {?{activate: Function, deactivate: Function, handleClick: Function}} tool - The tool, or null for the default behaviour
+     */
+    setTool(tool) {
+        if (this.tool) {
+            this.tool.deactivate();
+        }
+        this.tool = tool;
+        if (tool) {
             this.handleOutsideClick();
+            tool.activate();
         }
     }
 
-    handleSphereClick(point) {
-        point.applyMatrix4(this.group.matrixWorld.clone().invert());
-        const normalizedPoint = point.normalize();
+    /**
+     * @param {THREE.Vector3} point - Clicked point on the unit sphere, in the group's frame
+     * @param {{clientX: number, clientY: number}} [position] - Where the click was, to open the copy menu at
+     */
+    handleSphereClick(point, position) {
+        const normalizedPoint = point.clone().normalize();
         const coords = getLatLong(normalizedPoint);
+
+        if (this.tool) {
+            this.tool.handleClick(normalizedPoint, coords);
+            return;
+        }
         
         this.updateDeepLink(coords);
         this.updateMarker(normalizedPoint);
+        if (position) {
+            this.openCoordinateMenu(position, coords);
+        }
         
         // Show arrow and hide it after delay
         this.arrowContainer.classList.add('visible');
@@ -225,7 +380,26 @@ export class EventManager {
         }, 5000);
     }
 
+    /**
+     * Offer to copy a clicked location in every coordinate format, as a bookmark or as a viewer link.
+     * @param {{clientX: number, clientY: number}} position - Where to open the menu
+     * @param {{lat: number, long: number}} coords - The clicked location
+     */
+    openCoordinateMenu(position, coords) {
+        this.coordinateMenu.open(position, [
+            ...Object.entries(COORDINATE_FORMATS).map(([format, label]) => ({
+                label: `Copy ${label.toLowerCase()}`,
+                text: this.positionInfo.format(coords, format)
+            })),
+            { label: 'Copy Preface bookmark URL', text: this.deepLinkAnchor.href },
+            { label: 'Copy viewer permalink', text: buildViewerUrl(coords, this.planet_name) }
+        ]);
+    }
+
     handleOutsideClick() {
+        this.coordinateMenu.close();
+        this.selectedLocation = null;
+        this.positionInfo.select(null);
         this.deepLink.classList.remove('visible');
         this.deepLinkAnchor.classList.remove('visible');
         this.arrowContainer.classList.remove('visible');
@@ -253,18 +427,43 @@ export class EventManager {
         }
     }
 
-    handleMouseDown(event) {
-        if (this.isInteractingWithUI) {
+    handlePointerDown(event) {
+        // The debug sliders sit inside the container: only presses on the canvas orbit,
+        // and the document listener that flags UI use runs after this one
+        if (this.isInteractingWithUI || event.target !== this.renderer.domElement) {
             return; // Skip orbit control if interacting with UI
         }
-        const rect = this.container.getBoundingClientRect();
-        this.previousMousePosition = {
-            x: event.clientX - rect.left,
-            y: event.clientY - rect.top
-        };
+        this.container.setPointerCapture(event.pointerId);
+        const position = this.getPointerPosition(event);
+        this.pointers.set(event.pointerId, position);
+        this.hideCoordinateTooltip();
+
+        this.stopInertia();
+
+        if (this.pointers.size === 2) {
+            // Second finger down: switch from orbiting to pinch zoom
+            this.isDragging = false;
+            this.tap = null;
+            this.cancelLongPress();
+            this.pinchDistance = this.getPinchDistance();
+            return;
+        }
+        if (this.pointers.size > 2) {
+            return;
+        }
+
+        this.previousMousePosition = position;
+        this.lastDragTime = performance.now();
         this.isDragging = true;
         this.autoRotate = false;
+        this.cameraAnimator.cancel();
         this.arrowContainer.classList.remove('visible');
+
+        if (event.pointerType === 'touch') {
+            const { clientX, clientY } = event;
+            this.tap = { ...position, time: performance.now() };
+            this.longPressTimer = setTimeout(() => this.handleLongPress({ clientX, clientY }), EventManager.LONG_PRESS_DELAY);
+        }
         
         // Update cursor state for dragging
         if (this.isSphereHovered) {
@@ -273,10 +472,35 @@ export class EventManager {
         }
     }
 
-    handleMouseUp() {
+    handlePointerUp(event) {
         if (this.isInteractingWithUI) {
             return; // Skip orbit control if interacting with UI
         }
+        this.pointers.delete(event.pointerId);
+        this.cancelLongPress();
+
+        if (event.pointerType === 'touch') {
+            if (this.tap && performance.now() - this.tap.time < EventManager.TAP_MAX_DURATION) {
+                this.selectAt(event);
+            }
+            this.tap = null;
+            this.lastTouchTime = performance.now();
+        }
+
+        if (this.pointers.size === 1) {
+            // One finger lifted after a pinch: keep orbiting with the other
+            this.previousMousePosition = this.pointers.values().next().value;
+            this.isDragging = true;
+            return;
+        }
+        if (this.pointers.size > 0) {
+            return;
+        }
+
+        // Only keep momentum if the pointer was still moving when released
+        if (performance.now() - this.lastDragTime > 50) {
+            this.stopInertia();
+        }
         this.isDragging = false;
         // Restore cursor state
         this.container.classList.remove('dragging-sphere');
@@ -285,31 +509,90 @@ export class EventManager {
         }
     }
 
-    handleMouseLeave() {
-        if (this.isInteractingWithUI) {
-            return; // Skip orbit control if interacting with UI
+    handlePointerCancel(event) {
+        this.pointers.delete(event.pointerId);
+        this.tap = null;
+        this.cancelLongPress();
+        if (this.pointers.size === 0) {
+            this.isDragging = false;
+            this.container.classList.remove('dragging-sphere');
+        }
+    }
+
+    handlePointerLeave(event) {
+        if (this.isInteractingWithUI || event.pointerType !== 'mouse') {
+            return; // Skip orbit control if interacting with UI; touch has no hover to reset
         }
         this.isDragging = false;
         this.cursor.visible = false;
-        this.positionInfo.textContent = 'Lat: -- Long: --';
+        this.positionInfo.setText('Lat: -- Long: --');
         // Reset cursor states
         this.container.classList.remove('hovering-sphere', 'dragging-sphere');
         this.isSphereHovered = false;
     }
 
+    handlePinch() {
+        const distance = this.getPinchDistance();
+        if (this.pinchDistance > 0 && distance > 0) {
+            // Spreading the fingers apart zooms in
+            this.setCameraDistance(this.currentDistance * this.pinchDistance / distance);
+            this.targetDistance = this.currentDistance;
+        }
+        this.pinchDistance = distance;
+    }
+
+    getPinchDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Show the coordinates under a finger that rests on the globe.
+     * @param {{clientX: number, clientY: number}} position - Where the finger was pressed
+     */
+    handleLongPress(position) {
+        this.tap = null;
+        const pick = this.pickSphere(position);
+        if (!pick) return;
+
+        const coords = getLatLong(pick.point);
+        this.coordinateTooltip.textContent = this.positionInfo.format(coords);
+        this.coordinateTooltip.style.left = `${position.clientX}px`;
+        this.coordinateTooltip.style.top = `${position.clientY}px`;
+        this.coordinateTooltip.classList.add('visible');
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
+    hideCoordinateTooltip() {
+        this.coordinateTooltip.classList.remove('visible');
+    }
+
     handleWheel(event) {
         event.preventDefault();
+        this.cameraAnimator.cancel();
         
+        // Move the target; update() glides the camera towards it
         const zoomSpeed = 0.001;
-        const delta = event.deltaY * zoomSpeed;
-        
+        this.targetDistance = Math.max(this.minDistance,
+            Math.min(this.maxDistance, this.targetDistance + event.deltaY * zoomSpeed));
+    }
+
+    /**
+     * Move the camera towards or away from the globe, within the zoom limits.
+     * @param {number} distance - New distance from the globe center
+     */
+    setCameraDistance(distance) {
         // Store current camera orientation
         const currentQuaternion = this.camera.quaternion.clone();
         const currentUp = this.camera.up.clone();
         
         // Update distance
         this.currentDistance = Math.max(this.minDistance, 
-            Math.min(this.maxDistance, this.currentDistance + delta));
+            Math.min(this.maxDistance, distance));
         
         // Update position while maintaining direction
         const direction = this.camera.position.clone().normalize();
@@ -324,10 +607,10 @@ export class EventManager {
     }
 
     handleDeepLinkHover() {
-        if (this.deepLinkAnchor.dataset.lat && this.deepLinkAnchor.dataset.long) {
+        if (this.selectedLocation) {
+            this.refreshDeepLink();
             const originalText = this.deepLinkAnchor.textContent;
-            this.deepLinkAnchor.textContent = 
-                `Lat: ${this.deepLinkAnchor.dataset.lat}° Long: ${this.deepLinkAnchor.dataset.long}°`;
+            this.deepLinkAnchor.textContent = this.positionInfo.format(this.selectedLocation);
             
             this.deepLink.addEventListener('mouseleave', () => {
                 this.deepLinkAnchor.textContent = originalText;
@@ -335,7 +618,11 @@ export class EventManager {
         }
     }
 
-    handleDeepLinkClick() {
+    handleDeepLinkClick(event) {
+        // Naming and copying the bookmark happen inside the panel without teleporting
+        if (event.target.closest('#deep-link-naming')) return;
+
+        this.refreshDeepLink();
         if (this.deepLinkAnchor.href) {
             window.location.href = this.deepLinkAnchor.href;
         }
@@ -353,16 +640,41 @@ export class EventManager {
             y: currentPosition.y - this.previousMousePosition.y
         };
         
-        const rotationSpeed = 0.003;
+        // Finer control near the surface, faster movement when zoomed out
+        const altitudeScale = Math.max(0.1, Math.min(2,
+            (this.currentDistance - 1) / EventManager.DRAG_REFERENCE_ALTITUDE));
+        const rotationSpeed = 0.003 * altitudeScale;
+
+        // Invert movement: dragging right/down turns the globe with the pointer
+        const deltaTheta = -deltaMove.x * rotationSpeed;
+        const deltaPhi = -deltaMove.y * rotationSpeed;
+        this.orbit(deltaTheta, deltaPhi);
+
+        // Track a smoothed velocity for the momentum after release
+        const now = performance.now();
+        const dt = Math.max(now - this.lastDragTime, 1);
+        this.orbitVelocity = {
+            theta: 0.8 * deltaTheta / dt + 0.2 * this.orbitVelocity.theta,
+            phi: 0.8 * deltaPhi / dt + 0.2 * this.orbitVelocity.phi
+        };
+        this.lastDragTime = now;
+        
+        this.previousMousePosition = currentPosition;
+    }
 
+    /**
+     * Orbit the camera around the globe's center.
+     * @param {number} deltaTheta - Change of the horizontal angle in radians
+     * @param {number} deltaPhi - Change of the vertical angle in radians
+     */
+    orbit(deltaTheta, deltaPhi) {
         // Orbital rotation
         const spherical = new THREE.Spherical();
         spherical.setFromVector3(this.camera.position);
         
         // Update theta (horizontal) and phi (vertical) angles
-        spherical.theta -= deltaMove.x * rotationSpeed;
-        // Invert vertical movement
-        spherical.phi = Math.max(0.1, Math.min(Math.PI - 0.1, spherical.phi - deltaMove.y * rotationSpeed));
+        spherical.theta += deltaTheta;
+        spherical.phi = Math.max(0.1, Math.min(Math.PI - 0.1, spherical.phi + deltaPhi));
         
         // Update camera position while maintaining distance
         const newPosition = new THREE.Vector3();
@@ -381,23 +693,140 @@ export class EventManager {
             // Not at poles - keep camera upright
             this.camera.up.set(0, 1, 0);
         }
-        
-        this.previousMousePosition = currentPosition;
     }
 
-    updateDeepLink(coords) {
-        const lat_rad = THREE.MathUtils.degToRad(coords.lat);
-        const long_rad = THREE.MathUtils.degToRad(coords.long);
-        const camera_angles = calculateCameraOrientation(coords.lat, coords.long);
-        
+    stopInertia() {
+        this.orbitVelocity = { theta: 0, phi: 0 };
+        this.targetDistance = this.currentDistance;
+    }
+
+    updateDeepLink(coords, rotation) {
+        this.selectedLocation = { lat: coords.lat, long: coords.long };
+        this.selectedRotation = rotation || null;
+        this.deepLinkName.value = '';
+        this.positionInfo.select(this.pickPoint(latLongToVector(coords.lat, coords.long)), this.selectedLocation);
+
         this.deepLink.classList.add('visible');
         this.deepLinkAnchor.classList.add('visible');
         
         this.deepLinkAnchor.textContent = 'Teleport to this location';
-        this.deepLinkAnchor.dataset.lat = coords.lat.toFixed(2);
-        this.deepLinkAnchor.dataset.long = coords.long.toFixed(2);
-        this.deepLinkAnchor.href = 
-            `https://preface.pp.studio/bookmarks?longitude=${long_rad}&latitude=${lat_rad}&altitude=600000.586887&rotation=${camera_angles.yaw},${camera_angles.pitch},${camera_angles.roll}&name=preface_teleport&planet_name=${this.planet_name}`;
+        this.refreshDeepLink();
+    }
+
+    /**
+     * Rebuild the bookmark URL of the selected location, named as typed in the panel.
+     * With "Match view" ticked the player arrives at the viewer's zoom, facing the way
+     * the top of the screen points; a rotation that came with an opened bookmark is kept.
+     */
+    refreshDeepLink() {
+        if (!this.selectedLocation) return;
+
+        const matchView = this.deepLinkMatchView.checked;
+        this.deepLinkName.placeholder = getDeepLinkConfig(this.planet_name).name;
+        this.deepLinkAnchor.href = buildBookmarkUrl(this.selectedLocation, this.planet_name, {
+            rotation: this.selectedRotation || (matchView ? this.getViewRotation(this.selectedLocation) : null),
+            altitude: matchView ? getViewAltitude(this.currentDistance, this.getRadius()) : undefined,
+            name: this.deepLinkName.value.trim()
+        });
+    }
+
+    /**
+     * @param {{lat: number, long: number}} coords - Location in degrees
+     * @returns {{yaw: number, pitch: number, roll: number}} Bookmark rotation facing the camera's heading there
+     */
+    getViewRotation(coords) {
+        const screenUp = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion);
+        screenUp.applyQuaternion(this.group.getWorldQuaternion(new THREE.Quaternion()).invert());
+        return calculateCameraOrientation(coords.lat, coords.long, getHeading(coords, screenUp));
+    }
+
+    copyDeepLink() {
+        this.refreshDeepLink();
+        copyWithFeedback(this.deepLinkAnchor.href, this.deepLinkCopy, { restoreText: 'Copy' });
+    }
+
+    /**
+     * Fly the camera to a location and mark it as if it had been clicked.
+     * @param {{lat: number, long: number}} coords - Location in degrees
+     * @param {{yaw: number, pitch: number, roll: number}} [rotation] - Bookmark rotation to keep in the deep link
+     * @returns {Promise<boolean>} Resolves true on arrival, false if the user interrupted the flight
+     */
+    goToLocation(coords, rotation) {
+        const point = latLongToVector(coords.lat, coords.long);
+
+        this.updateDeepLink(coords, rotation);
+        this.updateMarker(point.clone());
+        return this.flyTo(point);
+    }
+
+    /**
+     * Animate the camera to a point of the globe; see CameraAnimator.flyTo.
+     * @param {THREE.Vector3} point - Target direction in the globe's local frame
+     * @param {number} [distance] - Camera distance at the target
+     * @returns {Promise<boolean>} Resolves true on arrival, false if interrupted
+     */
+    flyTo(point, distance = this.currentDistance) {
+        this.autoRotate = false;
+        this.stopInertia();
+        return this.cameraAnimator.flyTo(point, distance);
+    }
+
+    /**
+     * Advance camera animations and momentum; call once per frame.
+     */
+    update() {
+        const now = performance.now();
+        const elapsed = Math.min(now - this.lastUpdateTime, 100);
+        const frames = elapsed / (1000 / 60);
+        this.lastUpdateTime = now;
+
+        this.cameraAnimator.update();
+        if (this.cameraAnimator.isActive() || this.isDragging) {
+            return;
+        }
+
+        // Keep orbiting after release, slowing down by orbitDamping
+        const { theta, phi } = this.orbitVelocity;
+        if (Math.abs(theta) + Math.abs(phi) > 1e-6) {
+            this.orbit(theta * elapsed, phi * elapsed);
+            const decay = Math.pow(this.orbitDamping, frames);
+            this.orbitVelocity = { theta: theta * decay, phi: phi * decay };
+        }
+
+        // Glide towards the zoom target, closing (1 - zoomDamping) of the gap per frame
+        if (Math.abs(this.targetDistance - this.currentDistance) > 1e-4) {
+            const t = 1 - Math.pow(this.zoomDamping, frames);
+            this.setCameraDistance(THREE.MathUtils.lerp(this.currentDistance, this.targetDistance, t));
+        }
+    }
+
+    /**
+     * Put the camera above a point of the globe, looking at its center.
+     * Keeps clear of the poles like handleDrag does.
+     * @param {THREE.Vector3} point - Direction to the point in the globe's local frame
+     * @param {number} distance - Camera distance from the center, clamped to the zoom limits
+     */
+    placeCamera(point, distance) {
+        this.currentDistance = Math.max(this.minDistance, Math.min(this.maxDistance, distance));
+        this.targetDistance = this.currentDistance;
+
+        const direction = point.clone().normalize().applyQuaternion(this.group.quaternion);
+        const spherical = new THREE.Spherical().setFromVector3(direction);
+        spherical.radius = this.currentDistance;
+        spherical.phi = Math.max(0.1, Math.min(Math.PI - 0.1, spherical.phi));
+
+        this.camera.position.setFromSpherical(spherical);
+        this.camera.up.set(0, 1, 0);
+        this.camera.lookAt(0, 0, 0);
+    }
+
+    /**
+     * The point of the globe the camera is currently looking at.
+     * @returns {THREE.Vector3} Unit vector in the globe's local frame
+     */
+    getViewDirection() {
+        const inverse = this.group.quaternion.clone().invert();
+        return this.camera.position.clone().normalize().applyQuaternion(inverse);
     }
 
     updateMarker(normalizedPoint) {
@@ -414,6 +843,8 @@ export class EventManager {
         this.planet_name = planet_name;
         
         // Clear any existing marker and deep link when changing planets
+        this.selectedLocation = null;
+        this.positionInfo.select(null);
         this.deepLink.classList.remove('visible');
         this.deepLinkAnchor.classList.remove('visible');
         this.arrowContainer.classList.remove('visible');
@@ -432,17 +863,34 @@ export class EventManager {
         document.body.appendChild(this.arrowContainer);
     }
 
+    createCoordinateTooltip() {
+        this.coordinateTooltip = document.createElement('div');
+        this.coordinateTooltip.id = 'coordinate-tooltip';
+        document.body.appendChild(this.coordinateTooltip);
+    }
+
     createControlsInfo() {
         const controlsInfo = document.createElement('div');
         controlsInfo.className = 'controls-info';
         controlsInfo.innerHTML = `
             <div class="controls-title">Controls</div>
             <div class="control-item">🖱️ Drag: Orbit camera</div>
-            <div class="control-item">⚙️ Mouse wheel: Zoom</div>
-            <div class="control-item">🎯 Click: Create teleport</div>
+            <div class="control-item">⚙️ Mouse wheel / pinch: Zoom</div>
+            <div class="control-item">🎯 Click / tap: Create teleport</div>
+            <div class="control-item">👆 Long-press: Show coordinates</div>
+            <div class="control-item">📌 Pins: Save selected location</div>
+            <div class="control-item">📏 M: Measure distance / area</div>
+            <div class="control-item">🌗 T: Day/night terminator</div>
+            <div class="control-item">🌐 G: Lat/long grid</div>
+            <div class="control-item">🧊 F: Cube faces (debug)</div>
             <div class="control-item">← → Arrow keys: Change planet</div>
         `;
         document.body.appendChild(controlsInfo);
+
+        // On small screens the list starts collapsed; the title toggles it
+        controlsInfo.querySelector('.controls-title').addEventListener('click', () => {
+            controlsInfo.classList.toggle('expanded');
+        });
     }
 
 } 
\ No newline at end of file
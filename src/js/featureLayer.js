@@ -0,0 +1,117 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { latLongToVector } from './utils';
+import { greatCirclePath } from './geodesy';
+
+/**
+ * Draws imported lines and polygons on the globe and keeps them per planet in localStorage.
+ */
+export class FeatureLayer {
+    static STORAGE_PREFIX = 'preface-features:';
+    static DEFAULT_COLOR = '#00ffff';
+    static SURFACE_OFFSET = 1.002; // Lift lines just above the globe mesh
+
+    /**
+     * @param {THREE.Group} group - Group the globe lives in; feature lines are added to it
+     */
+    constructor(group) {
+        this.group = group;
+        this.planet_name = null;
+        this.lines = [];
+        this.polygons = [];
+
+        this.featureGroup = new THREE.Group();
+        this.group.add(this.featureGroup);
+    }
+
+    /**
+     * Switch to another planet's features.
+     * @param {string} planet_name - The planet to show features for
+     */
+    setPlanet(planet_name) {
+        this.planet_name = planet_name;
+        const { lines, polygons } = this.load();
+        this.lines = lines;
+        this.polygons = polygons;
+        this.render();
+    }
+
+    /**
+     * Add lines and polygons to the current planet and persist them.
+     * @param {{lines: Object[], polygons: Object[]}} shapes - Shapes as returned by parseGeoJson
+     */
+    addShapes({ lines = [], polygons = [] }) {
+        this.lines.push(...lines);
+        this.polygons.push(...polygons);
+        this.save();
+        this.render();
+    }
+
+    clear() {
+        this.lines = [];
+        this.polygons = [];
+        this.save();
+        this.render();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(FeatureLayer.STORAGE_PREFIX + this.planet_name);
+            return stored ? JSON.parse(stored) : { lines: [], polygons: [] };
+        } catch (error) {
+            console.warn(`Failed to load features for ${this.planet_name}:`, error);
+            return { lines: [], polygons: [] };
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(FeatureLayer.STORAGE_PREFIX + this.planet_name,
+                JSON.stringify({ lines: this.lines, polygons: this.polygons }));
+        } catch (error) {
+            console.warn(`Failed to save features for ${this.planet_name}:`, error);
+        }
+    }
+
+    render() {
+        this.featureGroup.children.forEach(line => {
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+        this.featureGroup.clear();
+
+        this.lines.forEach(({ coordinates, properties }) => {
+            this.featureGroup.add(this.createLine(coordinates, properties, false));
+        });
+        this.polygons.forEach(({ rings, properties }) => {
+            rings.forEach(ring => this.featureGroup.add(this.createLine(ring, properties, true)));
+        });
+    }
+
+    /**
+     * Build a line that follows the surface between consecutive coordinates.
+     * @param {{lat: number, long: number}[]} coordinates - Vertices in degrees
+     * @param {Object} properties - GeoJSON properties; a "color" property sets the line color
+     * @param {boolean} closed - Whether to connect the last vertex back to the first
+     * @returns {THREE.Line} The line object
+     */
+    createLine(coordinates, properties, closed) {
+        const vertices = coordinates.map(({ lat, long }) => latLongToVector(lat, long));
+        if (closed) {
+            vertices.push(vertices[0]);
+        }
+
+        const points = [vertices[0]];
+        for (let i = 1; i < vertices.length; i++) {
+            points.push(...greatCirclePath(vertices[i - 1], vertices[i]).slice(1));
+        }
+        points.forEach(point => point.multiplyScalar(FeatureLayer.SURFACE_OFFSET));
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({
+            color: (properties && properties.color) || FeatureLayer.DEFAULT_COLOR
+        });
+        return new THREE.Line(geometry, material);
+    }
+}
@@ -0,0 +1,190 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { buildBookmarkUrl, parseDeepLink } from './deepLink';
+
+/**
+ * Read a GeoJSON FeatureCollection (or a single Feature) into points, lines and polygons.
+ * Positions are [longitude, latitude] in degrees, the same convention as getLatLong.
+ * @param {Object|string} data - GeoJSON object or its JSON text
+ * @returns {{points: Object[], lines: Object[], polygons: Object[]}} The parsed features,
+ *          each with its coordinates as {lat, long} and its GeoJSON properties
+ * @throws {Error} If the document is not GeoJSON or holds invalid coordinates
+ */
+export function parseGeoJson(data) {
+    if (typeof data === 'string') {
+        data = JSON.parse(data);
+    }
+
+    let features;
+    if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        features = data.features;
+    } else if (data && data.type === 'Feature') {
+        features = [data];
+    } else {
+        throw new Error('Expected a GeoJSON FeatureCollection or Feature');
+    }
+
+    const result = { points: [], lines: [], polygons: [] };
+
+    features.forEach((feature, index) => {
+        const where = `Feature ${index}`;
+        const geometry = feature && feature.geometry;
+        if (!geometry || !Array.isArray(geometry.coordinates)) {
+            throw new Error(`${where}: missing geometry`);
+        }
+        const properties = feature.properties || {};
+
+        switch (geometry.type) {
+            case 'Point':
+                result.points.push({ ...toLatLong(geometry.coordinates, where), properties });
+                break;
+            case 'MultiPoint':
+                geometry.coordinates.forEach(position => {
+                    result.points.push({ ...toLatLong(position, where), properties });
+                });
+                break;
+            case 'LineString':
+                result.lines.push({ coordinates: toLine(geometry.coordinates, where), properties });
+                break;
+            case 'MultiLineString':
+                geometry.coordinates.forEach(line => {
+                    result.lines.push({ coordinates: toLine(line, where), properties });
+                });
+                break;
+            case 'Polygon':
+                result.polygons.push({ rings: toRings(geometry.coordinates, where), properties });
+                break;
+            case 'MultiPolygon':
+                geometry.coordinates.forEach(polygon => {
+                    result.polygons.push({ rings: toRings(polygon, where), properties });
+                });
+                break;
+            default:
+                throw new Error(`${where}: unsupported geometry type "${geometry.type}"`);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Write pins, lines and polygons as a GeoJSON FeatureCollection.
+ * @param {Object[]} pins - Pins as stored by PinManager
+ * @param {{lines: Object[], polygons: Object[]}} [shapes] - Lines and polygons as returned by parseGeoJson
+ * @returns {Object} The FeatureCollection
+ */
+export function toGeoJson(pins, { lines = [], polygons = [] } = {}) {
+    const features = [];
+
+    pins.forEach(({ name, color, note, createdAt, lat, long }) => {
+        features.push({
+            type: 'Feature',
+            properties: { name, color, note, createdAt },
+            geometry: { type: 'Point', coordinates: [long, lat] }
+        });
+    });
+
+    lines.forEach(({ coordinates, properties }) => {
+        features.push({
+            type: 'Feature',
+            properties,
+            geometry: { type: 'LineString', coordinates: coordinates.map(({ lat, long }) => [long, lat]) }
+        });
+    });
+
+    polygons.forEach(({ rings, properties }) => {
+        features.push({
+            type: 'Feature',
+            properties,
+            geometry: {
+                type: 'Polygon',
+                // Close each ring again, as GeoJSON requires
+                coordinates: rings.map(ring => [...ring, ring[0]].map(({ lat, long }) => [long, lat]))
+            }
+        });
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Turn pins into a list of Preface bookmark URLs, named after the pins.
+ * @param {Object[]} pins - Pins as stored by PinManager
+ * @param {string} planetName - Planet the pins belong to
+ * @returns {{name: string, url: string}[]} One bookmark per pin
+ */
+export function toBookmarkList(pins, planetName) {
+    return pins.map(pin => ({ name: pin.name, url: buildBookmarkUrl(pin, planetName, { name: pin.name }) }));
+}
+
+/**
+ * Read a list of Preface bookmark URLs, given as plain strings or as {name, url} objects.
+ * @param {Array<string|{name: string, url: string}>} list - The bookmarks
+ * @returns {{name: ?string, lat: number, long: number, planetName: ?string}[]} The parsed locations
+ * @throws {Error} If an entry is not a valid bookmark URL
+ */
+export function parseBookmarkList(list) {
+    return list.map((entry, index) => {
+        const url = typeof entry === 'string' ? entry : entry && entry.url;
+        let link = null;
+        try {
+            link = parseDeepLink(new URL(url));
+        } catch (error) {
+            // Fall through to the error below
+        }
+        if (!link) {
+            throw new Error(`Bookmark ${index}: not a valid bookmark URL`);
+        }
+
+        return {
+            name: typeof entry === 'string' ? null : entry.name,
+            lat: link.lat,
+            long: link.long,
+            planetName: link.planetName
+        };
+    });
+}
+
+function toLatLong(position, where) {
+    if (!Array.isArray(position) || position.length < 2) {
+        throw new Error(`${where}: positions must be [longitude, latitude] arrays`);
+    }
+
+    const [long, lat] = position;
+    if (!Number.isFinite(long) || !Number.isFinite(lat)) {
+        throw new Error(`${where}: coordinates must be numbers`);
+    }
+    if (lat < -90 || lat > 90) {
+        throw new Error(`${where}: latitude ${lat} is out of range [-90, 90]`);
+    }
+
+    return { lat, long };
+}
+
+function toLine(positions, where) {
+    if (!Array.isArray(positions) || positions.length < 2) {
+        throw new Error(`${where}: a LineString needs at least two positions`);
+    }
+    return positions.map(position => toLatLong(position, where));
+}
+
+function toRings(rings, where) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+        throw new Error(`${where}: a Polygon needs at least one ring`);
+    }
+
+    return rings.map(ring => {
+        if (!Array.isArray(ring) || ring.length < 4) {
+            throw new Error(`${where}: polygon rings need at least four positions`);
+        }
+        const coordinates = ring.map(position => toLatLong(position, where));
+
+        // GeoJSON rings repeat the first position at the end; keep them open internally
+        const first = coordinates[0];
+        const last = coordinates[coordinates.length - 1];
+        if (first.lat === last.lat && first.long === last.long) {
+            coordinates.pop();
+        }
+        return coordinates;
+    });
+}
@@ -0,0 +1,78 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect } from 'vitest';
+import { toGeoJson, parseGeoJson, toBookmarkList, parseBookmarkList } from './geoJson';
+
+const TOLERANCE = 1e-6; // degrees
+
+// The seam at ±180° and the poles, where a swapped or wrapped coordinate would show
+const PINS = [
+    { name: 'Origin', color: '#ff0000', note: '', createdAt: 1, lat: 0, long: 0 },
+    { name: 'East seam', color: '#00ff00', note: 'on the date line', createdAt: 2, lat: 12.345678, long: 180 },
+    { name: 'West seam', color: '#0000ff', note: '', createdAt: 3, lat: -45.5, long: -180 },
+    { name: 'North pole', color: '#ffffff', note: '', createdAt: 4, lat: 90, long: 0 },
+    { name: 'South pole', color: '#000000', note: '', createdAt: 5, lat: -90, long: 135 },
+    { name: 'Somewhere', color: '#888888', note: '', createdAt: 6, lat: -33.8688197, long: 151.2092955 }
+];
+
+const LINE = {
+    coordinates: [{ lat: 10, long: 179.5 }, { lat: 10.5, long: -179.5 }, { lat: 89.999999, long: 0 }],
+    properties: { name: 'Across the seam' }
+};
+
+const POLYGON = {
+    rings: [[{ lat: -10, long: 170 }, { lat: -10, long: -170 }, { lat: -90, long: 0 }]],
+    properties: { name: 'Southern cap' }
+};
+
+function expectSameLocation(actual, expected) {
+    expect(Math.abs(actual.lat - expected.lat)).toBeLessThan(TOLERANCE);
+    expect(Math.abs(actual.long - expected.long)).toBeLessThan(TOLERANCE);
+}
+
+describe('GeoJSON round trip', () => {
+    it('keeps pins, lines and polygons', () => {
+        // Through the JSON text, as the export writes it and the import reads it
+        const text = JSON.stringify(toGeoJson(PINS, { lines: [LINE], polygons: [POLYGON] }));
+        const { points, lines, polygons } = parseGeoJson(text);
+
+        expect(points).toHaveLength(PINS.length);
+        points.forEach((point, index) => {
+            const { name, color, note, createdAt } = PINS[index];
+            expectSameLocation(point, PINS[index]);
+            expect(point.properties).toEqual({ name, color, note, createdAt });
+        });
+
+        expect(lines).toHaveLength(1);
+        expect(lines[0].properties).toEqual(LINE.properties);
+        expect(lines[0].coordinates).toHaveLength(LINE.coordinates.length);
+        lines[0].coordinates.forEach((coords, index) => expectSameLocation(coords, LINE.coordinates[index]));
+
+        // The ring is closed in the file and open again once read
+        expect(polygons).toHaveLength(1);
+        expect(polygons[0].properties).toEqual(POLYGON.properties);
+        expect(polygons[0].rings[0]).toHaveLength(POLYGON.rings[0].length);
+        polygons[0].rings[0].forEach((coords, index) => expectSameLocation(coords, POLYGON.rings[0][index]));
+    });
+});
+
+describe('bookmark list round trip', () => {
+    it('keeps the locations and names', () => {
+        const bookmarks = parseBookmarkList(toBookmarkList(PINS, 'Dractun'));
+
+        expect(bookmarks).toHaveLength(PINS.length);
+        bookmarks.forEach((bookmark, index) => {
+            expectSameLocation(bookmark, PINS[index]);
+            expect(bookmark.name).toBe(PINS[index].name);
+            expect(bookmark.planetName).toBe('Dractun');
+        });
+    });
+
+    it('reads plain URLs without a name', () => {
+        const [{ url }] = toBookmarkList([PINS[1]], 'Dractun');
+        const [bookmark] = parseBookmarkList([url]);
+
+        expectSameLocation(bookmark, PINS[1]);
+        expect(bookmark.name).toBeNull();
+    });
+});
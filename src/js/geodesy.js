@@ -0,0 +1,181 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+
+// Fallback planet radius, the same Earth radius Sun.updateSunPosition uses
+export const DEFAULT_RADIUS_KM = 6371;
+
+/**
+ * Angle between two points on the unit sphere, stable for both tiny and near-antipodal separations.
+ * @param {THREE.Vector3} a - First unit vector
+ * @param {THREE.Vector3} b - Second unit vector
+ * @returns {number} The central angle in radians
+ */
+export function centralAngle(a, b) {
+    const cross = new THREE.Vector3().crossVectors(a, b).length();
+    return Math.atan2(cross, a.dot(b));
+}
+
+/**
+ * Great-circle distance between two points on a planet's surface.
+ * @param {THREE.Vector3} a - First point (unit vector)
+ * @param {THREE.Vector3} b - Second point (unit vector)
+ * @param {number} [radius] - Planet radius in kilometres
+ * @returns {number} The distance in kilometres
+ */
+export function surfaceDistance(a, b, radius = DEFAULT_RADIUS_KM) {
+    return centralAngle(a, b) * radius;
+}
+
+/**
+ * Format a distance for display, switching to metres below one kilometre.
+ * @param {number} km - Distance in kilometres
+ * @returns {string} The formatted distance
+ */
+export function formatDistance(km) {
+    if (km < 1) {
+        return `${(km * 1000).toFixed(0)} m`;
+    }
+    return `${km.toLocaleString(undefined, { maximumFractionDigits: km < 100 ? 2 : 0 })} km`;
+}
+
+/**
+ * Sample the great-circle arc between two points on the unit sphere.
+ * @param {THREE.Vector3} from - Start point (unit vector)
+ * @param {THREE.Vector3} to - End point (unit vector)
+ * @param {number} [maxStep] - Largest angle between consecutive samples, in radians
+ * @returns {THREE.Vector3[]} Points along the arc, including both ends
+ */
+export function greatCirclePath(from, to, maxStep = THREE.MathUtils.degToRad(1)) {
+    const angle = centralAngle(from, to);
+    const steps = Math.max(1, Math.ceil(angle / maxStep));
+    const points = [];
+
+    for (let i = 0; i <= steps; i++) {
+        points.push(slerp(from, to, i / steps, angle));
+    }
+
+    return points;
+}
+
+/**
+ * Spherical linear interpolation between two points on the unit sphere.
+ * @param {THREE.Vector3} from - Start point (unit vector)
+ * @param {THREE.Vector3} to - End point (unit vector)
+ * @param {number} t - Interpolation factor in [0, 1]
+ * @param {number} [angle] - Central angle between the points, if already known
+ * @returns {THREE.Vector3} The interpolated unit vector
+ */
+export function slerp(from, to, t, angle = centralAngle(from, to)) {
+    const sinAngle = Math.sin(angle);
+    if (sinAngle < 1e-9) {
+        // Identical (or antipodal) points have no unique arc; fall back to a straight lerp
+        return from.clone().lerp(to, t).normalize();
+    }
+
+    const a = Math.sin((1 - t) * angle) / sinAngle;
+    const b = Math.sin(t * angle) / sinAngle;
+    return from.clone().multiplyScalar(a).addScaledVector(to, b);
+}
+
+/**
+ * Area of a polygon on the unit sphere.
+ * Works on unit vectors, so polygons crossing the ±180° meridian or enclosing a pole
+ * need no special handling. Of the two regions a ring splits the sphere into, the
+ * smaller one is taken as the polygon.
+ * @param {THREE.Vector3[]} vertices - The ring's vertices (unit vectors), not repeating the first one
+ * @returns {number} The area in steradians; multiply by radius² for the surface area
+ */
+export function sphericalPolygonArea(vertices) {
+    if (vertices.length < 3) return 0;
+
+    // Sum the signed spherical excess of a triangle fan around the first vertex
+    // (Van Oosterom & Strackee: tan(E/2) = a·(b×c) / (1 + a·b + b·c + c·a))
+    const a = vertices[0];
+    const cross = new THREE.Vector3();
+    let total = 0;
+    for (let i = 1; i < vertices.length - 1; i++) {
+        const b = vertices[i];
+        const c = vertices[i + 1];
+        const numerator = a.dot(cross.crossVectors(b, c));
+        const denominator = 1 + a.dot(b) + b.dot(c) + c.dot(a);
+        total += 2 * Math.atan2(numerator, denominator);
+    }
+
+    const area = Math.abs(total) % (4 * Math.PI);
+    return Math.min(area, 4 * Math.PI - area);
+}
+
+/**
+ * Format an area for display, switching to square metres below one square kilometre.
+ * @param {number} km2 - Area in square kilometres
+ * @returns {string} The formatted area
+ */
+export function formatArea(km2) {
+    if (km2 < 1) {
+        return `${(km2 * 1e6).toFixed(0)} m²`;
+    }
+    return `${km2.toLocaleString(undefined, { maximumFractionDigits: km2 < 100 ? 2 : 0 })} km²`;
+}
+
+/**
+ * Triangulate a polygon on the unit sphere so it can be drawn as a filled surface.
+ * The ring is projected gnomonically around its centroid, where great circles become
+ * straight lines, triangulated there and subdivided so the triangles hug the sphere.
+ * @param {THREE.Vector3[]} vertices - The ring's vertices (unit vectors), not repeating the first one
+ * @param {number} [maxStep] - Largest edge angle of the resulting triangles, in radians
+ * @returns {?THREE.Vector3[]} Triangle corners on the unit sphere, three per triangle,
+ *          or null if the polygon doesn't fit in the hemisphere around its centroid
+ */
+export function triangulateSphericalPolygon(vertices, maxStep = THREE.MathUtils.degToRad(2)) {
+    if (vertices.length < 3) return null;
+
+    const center = vertices.reduce((sum, vertex) => sum.add(vertex), new THREE.Vector3());
+    if (center.lengthSq() < 1e-12) return null;
+    center.normalize();
+    if (vertices.some(vertex => vertex.dot(center) < 0.05)) return null;
+
+    // Tangent-plane basis at the centroid
+    const helper = Math.abs(center.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    const e1 = new THREE.Vector3().crossVectors(helper, center).normalize();
+    const e2 = new THREE.Vector3().crossVectors(center, e1);
+
+    const project = vertex => {
+        const scale = 1 / vertex.dot(center);
+        return new THREE.Vector2(vertex.dot(e1) * scale, vertex.dot(e2) * scale);
+    };
+    const unproject = (x, y) => center.clone().addScaledVector(e1, x).addScaledVector(e2, y).normalize();
+
+    const contour = vertices.map(project);
+    const faces = THREE.ShapeUtils.triangulateShape(contour, []);
+    const triangles = [];
+
+    faces.forEach(([ia, ib, ic]) => {
+        const [a, b, c] = [contour[ia], contour[ib], contour[ic]];
+        const longestEdge = Math.max(
+            centralAngle(vertices[ia], vertices[ib]),
+            centralAngle(vertices[ib], vertices[ic]),
+            centralAngle(vertices[ic], vertices[ia])
+        );
+        const n = Math.max(1, Math.ceil(longestEdge / maxStep));
+
+        // Barycentric grid point (i, j) of the subdivided triangle
+        const at = (i, j) => {
+            const u = i / n;
+            const v = j / n;
+            const w = 1 - u - v;
+            return unproject(a.x * w + b.x * u + c.x * v, a.y * w + b.y * u + c.y * v);
+        };
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n - i; j++) {
+                triangles.push(at(i, j), at(i + 1, j), at(i, j + 1));
+                if (j < n - i - 1) {
+                    triangles.push(at(i + 1, j), at(i + 1, j + 1), at(i, j + 1));
+                }
+            }
+        }
+    });
+
+    return triangles;
+}
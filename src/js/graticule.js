@@ -0,0 +1,109 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { getLatLong, latLongToVector } from './utils';
+import { createTextSprite, disposeTextSprite } from './textSprite';
+
+/**
+ * Lat/long grid overlay. The lines are drawn by the globe shader; this class picks
+ * the spacing for the current zoom and places labels near the centre of the view.
+ */
+export class Graticule {
+    // Grid spacing in degrees for camera distances up to maxDistance
+    static STEPS = [
+        { maxDistance: 2, step: 5 },
+        { maxDistance: 3.5, step: 10 },
+        { maxDistance: 6, step: 15 },
+        { maxDistance: Infinity, step: 30 }
+    ];
+    static LABEL_RANGE = 4; // Lines labelled on each side of the view centre
+    static LABEL_RADIUS = 1.01;
+
+    /**
+     * @param {THREE.Group} group - Group the globe lives in; labels are added to it
+     * @param {Globe} globe - The globe whose shader draws the lines
+     * @param {EventManager} eventManager - Source of the camera distance and view direction
+     */
+    constructor(group, globe, eventManager) {
+        this.globe = globe;
+        this.eventManager = eventManager;
+        this.visible = false;
+
+        this.labels = new THREE.Group();
+        group.add(this.labels);
+        this.labelKey = null; // Step and view cell the labels were placed for
+    }
+
+    /**
+     * @param {boolean} visible - Whether to show the grid
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.globe.setGraticule(visible);
+        this.labels.visible = visible;
+        this.labelKey = null;
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    /**
+     * Grid spacing for a camera distance.
+     * @param {number} distance - Camera distance from the globe's centre
+     * @returns {number} Spacing in degrees
+     */
+    getStep(distance) {
+        return Graticule.STEPS.find(({ maxDistance }) => distance <= maxDistance).step;
+    }
+
+    /**
+     * Follow the zoom level and view; call once per frame.
+     */
+    update() {
+        if (!this.visible) return;
+
+        const step = this.getStep(this.eventManager.currentDistance);
+        const view = getLatLong(this.eventManager.getViewDirection());
+        const centerLat = THREE.MathUtils.clamp(Math.round(view.lat / step) * step, -60, 60);
+        const centerLong = Math.round(view.long / step) * step;
+
+        const key = `${step}:${centerLat}:${centerLong}`;
+        if (key === this.labelKey) return;
+        this.labelKey = key;
+
+        this.globe.setGraticule(true, step);
+        this.placeLabels(step, centerLat, centerLong);
+    }
+
+    /**
+     * Label the parallels and meridians around a grid intersection. Labels sit half a
+     * step off the lines so a parallel's and a meridian's labels never overlap.
+     * @param {number} step - Grid spacing in degrees
+     * @param {number} centerLat - Latitude of the intersection nearest the view centre
+     * @param {number} centerLong - Longitude of that intersection
+     */
+    placeLabels(step, centerLat, centerLong) {
+        [...this.labels.children].forEach(disposeTextSprite);
+
+        for (let i = -Graticule.LABEL_RANGE; i <= Graticule.LABEL_RANGE; i++) {
+            const lat = centerLat + i * step;
+            if (Math.abs(lat) < 90) {
+                this.addLabel(this.formatDegrees(lat), lat, centerLong + step / 2, lat === 0);
+            }
+
+            const long = ((centerLong + i * step + 540) % 360) - 180;
+            this.addLabel(this.formatDegrees(long), centerLat + step / 2, long, long === 0);
+        }
+    }
+
+    addLabel(text, lat, long, isEmphasized) {
+        const label = createTextSprite(text, { color: isEmphasized ? '#ffd933' : '#dddddd', height: 0.025 });
+        label.position.copy(latLongToVector(lat, long).multiplyScalar(Graticule.LABEL_RADIUS));
+        this.labels.add(label);
+    }
+
+    formatDegrees(value) {
+        return `${Number(value.toFixed(1))}°`;
+    }
+}
@@ -70,13 +70,14 @@ export class LightControls {
         
         const slider = document.createElement('input');
         slider.type = 'range';
-        slider.min = '0';
-        slider.max = '180';
+        slider.min = '-90';
+        slider.max = '90';
         slider.step = '1';
         slider.value = this.sun.phiOffset;
         
         const value = document.createElement('span');
         value.textContent = this.sun.phiOffset.toFixed(1);
+        this.phiSlider = { slider, value };
         
         slider.addEventListener('input', (e) => {
             const val = parseFloat(e.target.value);
@@ -97,13 +98,14 @@ export class LightControls {
         
         const slider = document.createElement('input');
         slider.type = 'range';
-        slider.min = '0';
-        slider.max = '360';
+        slider.min = '-180';
+        slider.max = '180';
         slider.step = '1';
         slider.value = this.sun.thetaOffset;
         
         const value = document.createElement('span');
         value.textContent = this.sun.thetaOffset.toFixed(1);
+        this.thetaSlider = { slider, value };
         
         slider.addEventListener('input', (e) => {
             const val = parseFloat(e.target.value);
@@ -117,6 +119,16 @@ export class LightControls {
         controls.appendChild(container);
     }
 
+    /**
+     * Show the sun's current offsets, e.g. after switching to a planet with its own calibration
+     */
+    refreshOffsets() {
+        this.phiSlider.slider.value = this.sun.phiOffset;
+        this.phiSlider.value.textContent = this.sun.phiOffset.toFixed(1);
+        this.thetaSlider.slider.value = this.sun.thetaOffset;
+        this.thetaSlider.value.textContent = this.sun.thetaOffset.toFixed(1);
+    }
+
     setSprite(sprite) {
         this.sprite = sprite;
     }
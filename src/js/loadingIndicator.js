@@ -0,0 +1,51 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+/**
+ * Small overlay showing texture loading progress and load errors.
+ */
+export class LoadingIndicator {
+    static ERROR_DURATION = 6000; // ms an error stays on screen
+
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.id = 'loading-indicator';
+        this.element.innerHTML = `
+            <div class="loading-text"></div>
+            <div class="loading-bar"><div class="loading-bar-fill"></div></div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.text = this.element.querySelector('.loading-text');
+        this.fill = this.element.querySelector('.loading-bar-fill');
+        this.hideTimer = null;
+    }
+
+    /**
+     * Show loading progress.
+     * @param {string} name - What is being loaded
+     * @param {number} loaded - Files done so far
+     * @param {number} total - Files to load
+     */
+    showProgress(name, loaded, total) {
+        clearTimeout(this.hideTimer);
+        this.element.className = 'visible';
+        this.text.textContent = `Loading ${name}… ${loaded}/${total}`;
+        this.fill.style.width = `${total ? (loaded / total) * 100 : 0}%`;
+    }
+
+    /**
+     * Show an error, then hide after a while.
+     * @param {string} message - The error, shown as-is
+     */
+    showError(message) {
+        clearTimeout(this.hideTimer);
+        this.element.className = 'visible error';
+        this.text.textContent = message;
+        this.hideTimer = setTimeout(() => this.hide(), LoadingIndicator.ERROR_DURATION);
+    }
+
+    hide() {
+        clearTimeout(this.hideTimer);
+        this.element.className = '';
+    }
+}
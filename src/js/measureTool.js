@@ -0,0 +1,227 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import {
+    greatCirclePath, surfaceDistance, formatDistance,
+    sphericalPolygonArea, triangulateSphericalPolygon, formatArea
+} from './geodesy';
+
+/**
+ * Measure mode: clicking the globe adds points to a path that follows the
+ * surface along great circles, and a panel lists each segment's length and the total.
+ * In area mode the path is closed into a polygon and its area and perimeter are shown.
+ */
+export class MeasureTool {
+    static COLOR = 0xffff00;
+    static FILL_OPACITY = 0.25;
+    static SURFACE_OFFSET = 1.003; // Lift the path just above the globe mesh
+    static FILL_OFFSET = 1.001;
+
+    /**
+     * @param {THREE.Group} group - Group the globe lives in; the path is added to it
+     * @param {Object} callbacks
+     * @param {Function} callbacks.getRadius - Returns the current planet's radius in kilometres
+     * @param {Function} callbacks.onClose - Called when the user leaves measure mode from the panel
+     */
+    constructor(group, { getRadius, onClose }) {
+        this.group = group;
+        this.getRadius = getRadius;
+        this.onClose = onClose;
+        this.points = [];
+        this.mode = 'distance';
+
+        this.measureGroup = new THREE.Group();
+        this.measureGroup.visible = false;
+        this.group.add(this.measureGroup);
+
+        this.createPanel();
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'measure-panel';
+        this.panel.innerHTML = `
+            <div class="measure-modes">
+                <button type="button" data-mode="distance" class="active">Distance</button>
+                <button type="button" data-mode="area">Area</button>
+            </div>
+            <div class="measure-hint">Click the globe to add points</div>
+            <ol class="measure-segments"></ol>
+            <div class="measure-total"></div>
+            <div class="measure-area"></div>
+            <div class="measure-buttons">
+                <button type="button" data-action="undo">Undo</button>
+                <button type="button" data-action="clear">Clear</button>
+                <button type="button" data-action="close">Done</button>
+            </div>
+        `;
+        document.body.appendChild(this.panel);
+
+        this.segmentList = this.panel.querySelector('.measure-segments');
+        this.total = this.panel.querySelector('.measure-total');
+        this.area = this.panel.querySelector('.measure-area');
+
+        this.panel.querySelectorAll('[data-mode]').forEach(button => {
+            button.addEventListener('click', () => this.setMode(button.dataset.mode));
+        });
+
+        this.panel.querySelector('[data-action="undo"]').addEventListener('click', () => this.undo());
+        this.panel.querySelector('[data-action="clear"]').addEventListener('click', () => this.clear());
+        this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.onClose());
+    }
+
+    activate() {
+        this.measureGroup.visible = true;
+        this.panel.classList.add('visible');
+    }
+
+    deactivate() {
+        this.clear();
+        this.measureGroup.visible = false;
+        this.panel.classList.remove('visible');
+    }
+
+    /**
+     * Switch between measuring a path's length and a polygon's area.
+     * @param {'distance'|'area'} mode - The measurement mode
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.panel.querySelectorAll('[data-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        this.render();
+    }
+
+    isClosed() {
+        return this.mode === 'area' && this.points.length > 2;
+    }
+
+    /**
+     * Add a clicked point to the path.
+     * @param {THREE.Vector3} point - Clicked point on the unit sphere, in the globe's local frame
+     */
+    handleClick(point) {
+        this.points.push(point.clone().normalize());
+        this.render();
+    }
+
+    undo() {
+        this.points.pop();
+        this.render();
+    }
+
+    clear() {
+        this.points = [];
+        this.render();
+    }
+
+    /**
+     * Lengths of the path's segments on the current planet, including the
+     * closing segment in area mode.
+     * @returns {number[]} Segment lengths in kilometres
+     */
+    getSegmentLengths() {
+        const radius = this.getRadius();
+        const vertices = this.getPathVertices();
+        const lengths = [];
+        for (let i = 1; i < vertices.length; i++) {
+            lengths.push(surfaceDistance(vertices[i - 1], vertices[i], radius));
+        }
+        return lengths;
+    }
+
+    /**
+     * Area of the polygon on the current planet.
+     * @returns {number} Area in square kilometres, 0 outside area mode
+     */
+    getArea() {
+        if (!this.isClosed()) return 0;
+        const radius = this.getRadius();
+        return sphericalPolygonArea(this.points) * radius * radius;
+    }
+
+    getPathVertices() {
+        return this.isClosed() ? [...this.points, this.points[0]] : this.points;
+    }
+
+    render() {
+        this.measureGroup.children.forEach(object => {
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.measureGroup.clear();
+
+        this.points.forEach(point => {
+            const dot = new THREE.Mesh(
+                new THREE.SphereGeometry(0.006, 12, 12),
+                new THREE.MeshBasicMaterial({ color: MeasureTool.COLOR })
+            );
+            dot.position.copy(point).multiplyScalar(MeasureTool.SURFACE_OFFSET);
+            this.measureGroup.add(dot);
+        });
+
+        const vertices = this.getPathVertices();
+        if (vertices.length > 1) {
+            const path = [vertices[0]];
+            for (let i = 1; i < vertices.length; i++) {
+                path.push(...greatCirclePath(vertices[i - 1], vertices[i]).slice(1));
+            }
+            const geometry = new THREE.BufferGeometry().setFromPoints(
+                path.map(point => point.clone().multiplyScalar(MeasureTool.SURFACE_OFFSET))
+            );
+            this.measureGroup.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: MeasureTool.COLOR })));
+        }
+
+        if (this.isClosed()) {
+            const fill = this.createFill();
+            if (fill) {
+                this.measureGroup.add(fill);
+            }
+        }
+
+        this.updatePanel();
+    }
+
+    /**
+     * Build the translucent polygon overlay. It sits just above the globe and is
+     * pulled towards the camera in depth so it never z-fights with the globe mesh.
+     * @returns {?THREE.Mesh} The overlay, or null if the polygon is too large to fill
+     */
+    createFill() {
+        const triangles = triangulateSphericalPolygon(this.points);
+        if (!triangles) return null;
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            triangles.map(point => point.multiplyScalar(MeasureTool.FILL_OFFSET))
+        );
+        const material = new THREE.MeshBasicMaterial({
+            color: MeasureTool.COLOR,
+            transparent: true,
+            opacity: MeasureTool.FILL_OPACITY,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -4
+        });
+        return new THREE.Mesh(geometry, material);
+    }
+
+    updatePanel() {
+        const lengths = this.getSegmentLengths();
+
+        this.segmentList.innerHTML = '';
+        lengths.forEach(length => {
+            const item = document.createElement('li');
+            item.textContent = formatDistance(length);
+            this.segmentList.appendChild(item);
+        });
+
+        const total = formatDistance(lengths.reduce((sum, length) => sum + length, 0));
+        this.total.textContent = lengths.length > 0
+            ? `${this.isClosed() ? 'Perimeter' : 'Total'}: ${total}`
+            : '';
+        this.area.textContent = this.isClosed() ? `Area: ${formatArea(this.getArea())}` : '';
+    }
+}
@@ -0,0 +1,238 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { latLongToVector } from './utils';
+
+/**
+ * Keeps any number of named pins per planet, persists them in localStorage
+ * and lists them in a sidebar, after the planet's landmarks from planets.json.
+ */
+export class PinManager {
+    static STORAGE_PREFIX = 'preface-pins:';
+    static DEFAULT_COLOR = '#ff8800';
+    static LANDMARK_COLOR = '#33ccff';
+
+    /**
+     * @param {THREE.Group} group - Group the globe lives in; pin meshes are added to it
+     * @param {Object} callbacks
+     * @param {Function} callbacks.getSelectedLocation - Returns the currently clicked {lat, long}, or null
+     * @param {Function} callbacks.onSelect - Called with a pin when it is clicked in the list
+     */
+    constructor(group, { getSelectedLocation, onSelect }) {
+        this.group = group;
+        this.getSelectedLocation = getSelectedLocation;
+        this.onSelect = onSelect;
+        this.planet_name = null;
+        this.pins = [];
+        this.landmarks = [];
+
+        this.pinGroup = new THREE.Group();
+        this.group.add(this.pinGroup);
+
+        this.createSidebar();
+    }
+
+    createSidebar() {
+        this.sidebar = document.createElement('div');
+        this.sidebar.id = 'pin-sidebar';
+        this.sidebar.innerHTML = `
+            <div class="controls-title">Pins</div>
+            <form class="pin-form">
+                <input class="pin-name" type="text" placeholder="Name" maxlength="60">
+                <input class="pin-color" type="color" value="${PinManager.DEFAULT_COLOR}">
+                <textarea class="pin-note" placeholder="Note" rows="2"></textarea>
+                <button type="submit">Pin selected location</button>
+                <div class="pin-message"></div>
+            </form>
+            <ul class="pin-list"></ul>
+        `;
+        document.body.appendChild(this.sidebar);
+
+        this.form = this.sidebar.querySelector('.pin-form');
+        this.list = this.sidebar.querySelector('.pin-list');
+        this.message = this.sidebar.querySelector('.pin-message');
+
+        // On small screens the sidebar starts collapsed; the title toggles it
+        this.sidebar.querySelector('.controls-title').addEventListener('click', () => {
+            this.sidebar.classList.toggle('expanded');
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addPinFromForm();
+        });
+    }
+
+    /**
+     * Switch to another planet's pins.
+     * @param {string} planet_name - The planet to show pins for
+     * @param {Object[]} [landmarks] - The planet's landmarks from planets.json: {name, lat, long, description}
+     */
+    setPlanet(planet_name, landmarks = []) {
+        this.planet_name = planet_name;
+        this.pins = this.load();
+        this.landmarks = landmarks.map(({ name, lat, long, description = '' }) => ({
+            name, lat, long, note: description, color: PinManager.LANDMARK_COLOR, isLandmark: true
+        }));
+        this.render();
+    }
+
+    addPinFromForm() {
+        const location = this.getSelectedLocation();
+        if (!location) {
+            this.message.textContent = 'Click the globe to choose a location first';
+            return;
+        }
+
+        const name = this.form.querySelector('.pin-name').value.trim();
+        this.addPin({
+            name: name || `Pin ${this.pins.length + 1}`,
+            color: this.form.querySelector('.pin-color').value,
+            note: this.form.querySelector('.pin-note').value.trim(),
+            lat: location.lat,
+            long: location.long
+        });
+
+        this.form.querySelector('.pin-name').value = '';
+        this.form.querySelector('.pin-note').value = '';
+        this.message.textContent = '';
+    }
+
+    /**
+     * Add a pin to the current planet and persist it.
+     * @param {{name: string, color?: string, note?: string, lat: number, long: number}} pin - Pin data
+     * @returns {Object} The stored pin, including its id and creation date
+     */
+    addPin({ name, color = PinManager.DEFAULT_COLOR, note = '', lat, long }) {
+        const pin = {
+            id: this.createId(),
+            name,
+            color,
+            note,
+            createdAt: new Date().toISOString(),
+            lat,
+            long
+        };
+        this.pins.push(pin);
+        this.save();
+        this.render();
+        return pin;
+    }
+
+    /**
+     * Remove a pin from the current planet.
+     * @param {string} id - The pin's id
+     */
+    removePin(id) {
+        this.pins = this.pins.filter(pin => pin.id !== id);
+        this.save();
+        this.render();
+    }
+
+    /**
+     * Add several pins at once, e.g. from an import, to any planet.
+     * @param {Object[]} pins - Pin data as accepted by addPin
+     * @param {string} [planet_name] - Planet to add them to, defaults to the current one
+     */
+    importPins(pins, planet_name = this.planet_name) {
+        const isCurrent = planet_name === this.planet_name;
+        const stored = isCurrent ? this.pins : this.load(planet_name);
+
+        pins.forEach(({ name, color = PinManager.DEFAULT_COLOR, note = '', createdAt, lat, long }) => {
+            stored.push({
+                id: this.createId(),
+                name: name || `Pin ${stored.length + 1}`,
+                color,
+                note,
+                createdAt: createdAt || new Date().toISOString(),
+                lat,
+                long
+            });
+        });
+
+        this.save(planet_name, stored);
+        if (isCurrent) {
+            this.render();
+        }
+    }
+
+    createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    load(planet_name = this.planet_name) {
+        try {
+            const stored = localStorage.getItem(PinManager.STORAGE_PREFIX + planet_name);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn(`Failed to load pins for ${planet_name}:`, error);
+            return [];
+        }
+    }
+
+    save(planet_name = this.planet_name, pins = this.pins) {
+        try {
+            localStorage.setItem(PinManager.STORAGE_PREFIX + planet_name, JSON.stringify(pins));
+        } catch (error) {
+            console.warn(`Failed to save pins for ${planet_name}:`, error);
+        }
+    }
+
+    /**
+     * Rebuild the pin meshes and the sidebar list from the current pins.
+     */
+    render() {
+        this.pinGroup.children.forEach(mesh => {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.pinGroup.clear();
+        this.list.innerHTML = '';
+
+        [...this.landmarks, ...this.pins].forEach(pin => {
+            this.pinGroup.add(this.createPinMesh(pin));
+            this.list.appendChild(this.createListItem(pin));
+        });
+    }
+
+    createPinMesh(pin) {
+        const geometry = new THREE.SphereGeometry(0.008, 12, 12);
+        const material = new THREE.MeshBasicMaterial({ color: pin.color });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(latLongToVector(pin.lat, pin.long).multiplyScalar(1.005));
+        return mesh;
+    }
+
+    createListItem(pin) {
+        const item = document.createElement('li');
+        item.className = 'pin-item';
+        const origin = pin.isLandmark ? 'Landmark' : `Created ${new Date(pin.createdAt).toLocaleString()}`;
+        item.title = `${pin.note ? pin.note + '\n' : ''}${origin}`;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'pin-swatch';
+        swatch.style.background = pin.color;
+
+        const name = document.createElement('span');
+        name.className = 'pin-label';
+        name.textContent = pin.name;
+
+        const remove = document.createElement('button');
+        remove.className = 'pin-remove';
+        remove.textContent = '×';
+        remove.title = 'Remove pin';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.removePin(pin.id);
+        });
+
+        item.appendChild(swatch);
+        item.appendChild(name);
+        // Landmarks come from planets.json and can't be removed here
+        if (!pin.isLandmark) {
+            item.appendChild(remove);
+        }
+        item.addEventListener('click', () => this.onSelect(pin));
+        return item;
+    }
+}
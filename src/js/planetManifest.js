@@ -0,0 +1,178 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+export const DEFAULT_PLANET = 'planet_hd_2025-04';
+export const DEFAULT_TEXTURE_PATTERN = './images/{name}_{face}.{format}';
+export const TEXTURE_FORMATS = ['png', 'jpg', 'jpeg', 'webp'];
+export const CUBE_FACE_COUNT = 6;
+
+/**
+ * Validate planets.json and fill in defaults.
+ * Accepts `{"planets": [...]}` or a bare array; each entry is either a planet name
+ * or an object:
+ *
+ *     {
+ *         "name": "planet_hd_2025-04",           // texture file stem and deep-link planet_name
+ *         "displayName": "Preface Earth",
+ *         "description": "The main world",
+ *         "radius": 6371,                        // km
+ *         "textures": {"pattern": "./images/{name}_{face}.{format}", "format": "png", "faces": 6},
+ *         "sun": {"axialTilt": 23.44, "dayLength": 24, "yearLength": 365.2422, "epoch": "...",
+ *                 "phiOffset": 0, "thetaOffset": 0},
+ *         "atmosphere": {"color": "#5d9bff", "sunsetColor": "#ff7a3d", "thickness": 0.04, "density": 1},
+ *         "defaultView": {"lat": 0, "long": 0, "distance": 3},
+ *         "landmarks": [{"name": "Capital", "lat": 12.5, "long": -43.2, "description": "..."}],
+ *         "deepLink": {"baseUrl": "https://staging.example/bookmarks", "altitude": 600000, "name": "teleport",
+ *                      "params": {"build": "nightly"}}
+ *     }
+ *
+ * A "deepLink" next to "planets" applies to every planet; a planet's own one is merged over it.
+ *
+ * @param {Object|Array} data - Parsed planets.json
+ * @returns {Object[]} One entry per planet, with displayName, description, textures, landmarks and deepLink always set
+ * @throws {Error} Listing every problem found, one per line
+ */
+export function parseManifest(data) {
+    const entries = Array.isArray(data) ? data : data && data.planets;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('planets.json: expected a non-empty "planets" array');
+    }
+
+    const errors = [];
+    const sharedDeepLink = Array.isArray(data) ? undefined : data.deepLink;
+    checkDeepLink(sharedDeepLink, (condition, message) => {
+        if (!condition) errors.push(message);
+        return condition;
+    });
+
+    const names = new Set();
+    const planets = entries.map((entry, index) => {
+        const planet = typeof entry === 'string' ? { name: entry } : entry;
+        const where = `planets[${index}]${planet && typeof planet.name === 'string' ? ` (${planet.name})` : ''}`;
+        const check = (condition, message) => {
+            if (!condition) errors.push(`${where}: ${message}`);
+            return condition;
+        };
+
+        if (!check(isObject(planet), 'must be a planet name or an object')) return null;
+        if (check(typeof planet.name === 'string' && planet.name.trim() !== '', '"name" must be a non-empty string')) {
+            check(!names.has(planet.name), `duplicate planet name "${planet.name}"`);
+            names.add(planet.name);
+        }
+        check(planet.displayName === undefined || typeof planet.displayName === 'string', '"displayName" must be a string');
+        check(planet.description === undefined || typeof planet.description === 'string', '"description" must be a string');
+        check(planet.radius === undefined || isPositive(planet.radius), '"radius" must be a positive number of km');
+
+        const textures = { pattern: DEFAULT_TEXTURE_PATTERN, format: 'png', faces: CUBE_FACE_COUNT, ...planet.textures };
+        if (check(planet.textures === undefined || isObject(planet.textures), '"textures" must be an object')) {
+            check(typeof textures.pattern === 'string' && textures.pattern.includes('{face}'),
+                '"textures.pattern" must be a string containing {face}');
+            check(TEXTURE_FORMATS.includes(textures.format),
+                `"textures.format" must be one of ${TEXTURE_FORMATS.join(', ')}`);
+            check(textures.faces === CUBE_FACE_COUNT,
+                `"textures.faces" must be ${CUBE_FACE_COUNT}: the globe is a cube map`);
+        }
+
+        if (planet.sun !== undefined && check(isObject(planet.sun), '"sun" must be an object')) {
+            ['axialTilt', 'phiOffset', 'thetaOffset'].forEach(key => {
+                check(planet.sun[key] === undefined || Number.isFinite(planet.sun[key]), `"sun.${key}" must be a number of degrees`);
+            });
+            ['dayLength', 'yearLength'].forEach(key => {
+                check(planet.sun[key] === undefined || isPositive(planet.sun[key]), `"sun.${key}" must be a positive number`);
+            });
+            check(planet.sun.epoch === undefined || !isNaN(new Date(planet.sun.epoch).getTime()),
+                '"sun.epoch" must be an ISO date');
+        }
+
+        if (planet.atmosphere !== undefined && planet.atmosphere !== false
+            && check(isObject(planet.atmosphere), '"atmosphere" must be an object or false')) {
+            ['color', 'sunsetColor'].forEach(key => {
+                check(planet.atmosphere[key] === undefined || typeof planet.atmosphere[key] === 'string',
+                    `"atmosphere.${key}" must be a CSS colour string`);
+            });
+            ['thickness', 'density'].forEach(key => {
+                const value = planet.atmosphere[key];
+                check(value === undefined || (Number.isFinite(value) && value >= 0),
+                    `"atmosphere.${key}" must be a number of at least 0`);
+            });
+        }
+
+        if (planet.defaultView !== undefined && check(isObject(planet.defaultView), '"defaultView" must be an object')) {
+            checkLocation(planet.defaultView, 'defaultView', check);
+            check(planet.defaultView.distance === undefined || isPositive(planet.defaultView.distance),
+                '"defaultView.distance" must be a positive number');
+        }
+
+        const landmarks = planet.landmarks || [];
+        if (check(Array.isArray(landmarks), '"landmarks" must be an array')) {
+            landmarks.forEach((landmark, landmarkIndex) => {
+                const field = `landmarks[${landmarkIndex}]`;
+                if (!check(isObject(landmark), `"${field}" must be an object`)) return;
+                check(typeof landmark.name === 'string' && landmark.name !== '', `"${field}.name" must be a non-empty string`);
+                checkLocation(landmark, field, check);
+            });
+        }
+
+        checkDeepLink(planet.deepLink, check);
+
+        return {
+            ...planet,
+            displayName: planet.displayName || planet.name,
+            description: planet.description || '',
+            textures,
+            landmarks,
+            deepLink: mergeDeepLinks(sharedDeepLink, planet.deepLink)
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`planets.json is invalid:\n${errors.join('\n')}`);
+    }
+    return planets;
+}
+
+/**
+ * URLs of a planet's cube map faces, in three.js order (posx, negx, posy, negy, posz, negz).
+ * @param {Object} planet - Entry returned by parseManifest
+ * @returns {string[]} One URL per face
+ */
+export function getTextureUrls({ name, textures }) {
+    return Array.from({ length: textures.faces }, (_, face) => textures.pattern
+        .replaceAll('{name}', name)
+        .replaceAll('{face}', face)
+        .replaceAll('{format}', textures.format));
+}
+
+function checkLocation({ lat, long }, field, check) {
+    check(Number.isFinite(lat) && Math.abs(lat) <= 90, `"${field}.lat" must be a latitude between -90 and 90`);
+    check(Number.isFinite(long) && Math.abs(long) <= 180, `"${field}.long" must be a longitude between -180 and 180`);
+}
+
+function checkDeepLink(deepLink, check) {
+    if (deepLink === undefined || !check(isObject(deepLink), '"deepLink" must be an object')) return;
+
+    ['baseUrl', 'name'].forEach(key => {
+        check(deepLink[key] === undefined || (typeof deepLink[key] === 'string' && deepLink[key] !== ''),
+            `"deepLink.${key}" must be a non-empty string`);
+    });
+    check(deepLink.altitude === undefined || isPositive(deepLink.altitude), '"deepLink.altitude" must be a positive number of m');
+    if (deepLink.params !== undefined && check(isObject(deepLink.params), '"deepLink.params" must be an object')) {
+        Object.entries(deepLink.params).forEach(([key, value]) => {
+            check(value === null || typeof value === 'string' || Number.isFinite(value),
+                `"deepLink.params.${key}" must be a string, a number or null`);
+        });
+    }
+}
+
+function mergeDeepLinks(shared, own) {
+    // Invalid entries have been reported already
+    const [base, planet] = [shared, own].map(deepLink => isObject(deepLink) ? deepLink : {});
+    return { ...base, ...planet, params: { ...base.params, ...planet.params } };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositive(value) {
+    return Number.isFinite(value) && value > 0;
+}
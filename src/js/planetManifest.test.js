@@ -0,0 +1,110 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect } from 'vitest';
+import { parseManifest, getTextureUrls, DEFAULT_TEXTURE_PATTERN } from './planetManifest';
+
+/**
+ * The problems parseManifest reports for a manifest, one per line.
+ */
+function manifestErrors(data) {
+    try {
+        parseManifest(data);
+    } catch (error) {
+        return error.message.split('\n').slice(1);
+    }
+    return [];
+}
+
+describe('parseManifest', () => {
+    it('still accepts a plain array of planet names', () => {
+        const planets = parseManifest(['Dractun', 'Zihan']);
+
+        expect(planets.map(planet => planet.name)).toEqual(['Dractun', 'Zihan']);
+        expect(planets[0]).toMatchObject({
+            displayName: 'Dractun',
+            description: '',
+            textures: { pattern: DEFAULT_TEXTURE_PATTERN, format: 'png', faces: 6 },
+            landmarks: []
+        });
+        expect(planets[0].radius).toBeUndefined();
+        expect(getTextureUrls(planets[0])[5]).toBe('./images/Dractun_5.png');
+    });
+
+    it('accepts the shipped manifest', () => {
+        const planets = parseManifest({ planets: ['planet_hd_2025-04', { name: 'Mars', displayName: 'Mars', radius: 3389.5 }] });
+        expect(planets[1]).toMatchObject({ displayName: 'Mars', radius: 3389.5 });
+    });
+
+    it('rejects a manifest without planets', () => {
+        expect(() => parseManifest({})).toThrow('expected a non-empty "planets" array');
+        expect(() => parseManifest([])).toThrow('expected a non-empty "planets" array');
+    });
+
+    it('reports every bad field on its own line, naming the planet', () => {
+        expect(manifestErrors({
+            planets: [
+                { name: 'Dractun', displayName: 7, radius: -1, textures: { format: 'gif', faces: 4 } },
+                { name: 'Dractun', sun: { axialTilt: 'steep', dayLength: 0, epoch: 'never' } },
+                { atmosphere: 'blue', defaultView: { lat: 91, long: 0 } },
+                42
+            ]
+        })).toEqual([
+            'planets[0] (Dractun): "displayName" must be a string',
+            'planets[0] (Dractun): "radius" must be a positive number of km',
+            'planets[0] (Dractun): "textures.format" must be one of png, jpg, jpeg, webp',
+            'planets[0] (Dractun): "textures.faces" must be 6: the globe is a cube map',
+            'planets[1] (Dractun): duplicate planet name "Dractun"',
+            'planets[1] (Dractun): "sun.axialTilt" must be a number of degrees',
+            'planets[1] (Dractun): "sun.dayLength" must be a positive number',
+            'planets[1] (Dractun): "sun.epoch" must be an ISO date',
+            'planets[2]: "name" must be a non-empty string',
+            'planets[2]: "atmosphere" must be an object or false',
+            'planets[2]: "defaultView.lat" must be a latitude between -90 and 90',
+            'planets[3]: must be a planet name or an object'
+        ]);
+    });
+
+    it('validates landmarks', () => {
+        expect(manifestErrors([{
+            name: 'Zihan',
+            landmarks: [{ name: 'Capital', lat: 12.5, long: -43.2 }, { name: '', lat: 0, long: 200 }, 'Harbour']
+        }])).toEqual([
+            'planets[0] (Zihan): "landmarks[1].name" must be a non-empty string',
+            'planets[0] (Zihan): "landmarks[1].long" must be a longitude between -180 and 180',
+            'planets[0] (Zihan): "landmarks[2]" must be an object'
+        ]);
+        expect(manifestErrors([{ name: 'Zihan', landmarks: {} }])).toEqual([
+            'planets[0] (Zihan): "landmarks" must be an array'
+        ]);
+    });
+
+    it('validates deep-link targets, shared and per planet', () => {
+        expect(manifestErrors({
+            deepLink: { baseUrl: '', params: [] },
+            planets: [{ name: 'Zihan', deepLink: { altitude: 0, name: 3, params: { build: {} } } }]
+        })).toEqual([
+            '"deepLink.baseUrl" must be a non-empty string',
+            '"deepLink.params" must be an object',
+            'planets[0] (Zihan): "deepLink.name" must be a non-empty string',
+            'planets[0] (Zihan): "deepLink.altitude" must be a positive number of m',
+            'planets[0] (Zihan): "deepLink.params.build" must be a string, a number or null'
+        ]);
+    });
+
+    it('merges a planet\'s deep-link target over the shared one', () => {
+        const [zihan, dractun] = parseManifest({
+            deepLink: { baseUrl: 'http://localhost:8080/bookmarks', params: { build: 'nightly', client: 'web' } },
+            planets: [{ name: 'Zihan', deepLink: { name: 'zihan_teleport', params: { client: null } } }, 'Dractun']
+        });
+
+        expect(zihan.deepLink).toEqual({
+            baseUrl: 'http://localhost:8080/bookmarks',
+            name: 'zihan_teleport',
+            params: { build: 'nightly', client: null }
+        });
+        expect(dractun.deepLink).toEqual({
+            baseUrl: 'http://localhost:8080/bookmarks',
+            params: { build: 'nightly', client: 'web' }
+        });
+    });
+});
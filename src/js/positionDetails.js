@@ -0,0 +1,187 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { CUBE_FACES } from './cubeFaceOverlay';
+import { sampleTexel } from './texelSampler';
+import { buildBookmarkUrl } from './deepLink';
+import { copyWithFeedback } from './clipboard';
+import { COORDINATE_FORMATS, formatCoordinates, loadFormatSettings, saveFormatSettings } from './coordinateFormat';
+
+/**
+ * The cursor readout in #position-info, with an expandable details mode for map bug
+ * reports: the cube face, the pixel in that face's image and its colour. They describe
+ * the selected (clicked) location, or the last point hovered on the globe while nothing
+ * is selected, so moving the mouse to the panel doesn't change them. The details also
+ * hold the coordinate format setting used by every coordinate readout.
+ */
+export class PositionDetails {
+    /**
+     * @param {HTMLElement} element - The #position-info element
+     * @param {Object} callbacks
+     * @param {Function} callbacks.getPlanetName - Returns the current planet's name
+     * @param {Function} callbacks.getCubeTexture - Returns the cube texture on the globe
+     */
+    constructor(element, { getPlanetName, getCubeTexture }) {
+        this.element = element;
+        this.getPlanetName = getPlanetName;
+        this.getCubeTexture = getCubeTexture;
+        this.isExpanded = false;
+        this.lastPick = null;
+        this.selectedPick = null;
+        this.formatSettings = loadFormatSettings();
+
+        this.element.innerHTML = `
+            <span class="position-text">Lat: -- Long: --</span>
+            <button class="position-details-toggle" title="Texel details">▸</button>
+            <div class="position-details">
+                <div class="position-details-text">Hover or click the globe</div>
+                <button class="position-bug-report">Copy bug report</button>
+                <div class="position-format">
+                    <select class="position-format-select" title="Coordinate format">
+                        ${Object.entries(COORDINATE_FORMATS).map(([format, label]) =>
+                            `<option value="${format}">${label}</option>`).join('')}
+                    </select>
+                    <input class="position-precision" type="number" min="0" max="8" title="Decimal places">
+                </div>
+            </div>
+        `;
+        this.text = this.element.querySelector('.position-text');
+        this.toggleButton = this.element.querySelector('.position-details-toggle');
+        this.detailsText = this.element.querySelector('.position-details-text');
+        this.bugReportButton = this.element.querySelector('.position-bug-report');
+
+        this.formatSelect = this.element.querySelector('.position-format-select');
+        this.precisionInput = this.element.querySelector('.position-precision');
+        this.formatSelect.value = this.formatSettings.format;
+        this.precisionInput.value = this.formatSettings.precision;
+        this.updatePrecisionInput();
+
+        this.formatSelect.addEventListener('change', () => this.setFormat({ format: this.formatSelect.value }));
+        this.precisionInput.addEventListener('change', () => {
+            const precision = Math.round(Math.min(8, Math.max(0, Number(this.precisionInput.value) || 0)));
+            this.precisionInput.value = precision;
+            this.setFormat({ precision });
+        });
+        this.toggleButton.addEventListener('click', () => this.setExpanded(!this.isExpanded));
+        this.bugReportButton.addEventListener('click', () => this.copyBugReport());
+    }
+
+    /**
+     * Change and save the coordinate format setting.
+     * @param {{format: ?string, precision: ?number}} changes - Fields to change
+     */
+    setFormat(changes) {
+        this.formatSettings = { ...this.formatSettings, ...changes };
+        saveFormatSettings(this.formatSettings);
+        this.updatePrecisionInput();
+    }
+
+    updatePrecisionInput() {
+        // Precision only applies to decimal degrees
+        this.precisionInput.hidden = this.formatSettings.format !== 'decimal';
+    }
+
+    /**
+     * Write coordinates in the chosen format.
+     * @param {{lat: number, long: number}} coords - Location in degrees
+     * @param {string} [format] - Key of COORDINATE_FORMATS, instead of the chosen one
+     * @returns {string}
+     */
+    format(coords, format = this.formatSettings.format) {
+        return formatCoordinates(coords, { ...this.formatSettings, format });
+    }
+
+    /**
+     * @param {string} text - The one-line readout
+     */
+    setText(text) {
+        this.text.textContent = text;
+    }
+
+    setExpanded(isExpanded) {
+        this.isExpanded = isExpanded;
+        this.element.classList.toggle('expanded', isExpanded);
+        this.toggleButton.textContent = isExpanded ? '▾' : '▸';
+        this.render();
+    }
+
+    /**
+     * Fix the details on a location until another one is selected.
+     * @param {?Object} pick - Result of EventManager.pickPoint, or null to follow the cursor again
+     * @param {{lat: number, long: number}} [coords] - The location's coordinates
+     */
+    select(pick, coords) {
+        this.selectedPick = pick && { ...pick, coords };
+        this.render();
+    }
+
+    /**
+     * Record the point under the cursor. Leaving the globe keeps the last point,
+     * so the details can still be copied.
+     * @param {Object} pick - Result of EventManager.pickSphere
+     * @param {{lat: number, long: number}} coords - The point's coordinates
+     */
+    update(pick, coords) {
+        this.lastPick = { ...pick, coords };
+        if (!this.selectedPick) {
+            this.render();
+        }
+    }
+
+    /**
+     * Everything known about the selected point, or else the last hovered one.
+     * @returns {?Object} planetName, isSelected, coords, face, faceName, file, and the sampleTexel result
+     */
+    getDetails() {
+        const texture = this.getCubeTexture();
+        const pick = this.selectedPick || this.lastPick;
+        if (!pick || !texture) return null;
+
+        const { coords, face, u, v } = pick;
+        const image = texture.images[face];
+        return {
+            planetName: this.getPlanetName(),
+            isSelected: pick === this.selectedPick,
+            coords,
+            face,
+            faceName: CUBE_FACES[face].name,
+            // Placeholders for missing faces are canvases without a URL
+            file: image.src ? decodeURIComponent(image.src.split('/').pop()) : 'missing (placeholder)',
+            ...sampleTexel(texture, face, u, v)
+        };
+    }
+
+    render() {
+        if (!this.isExpanded) return;
+
+        const details = this.getDetails();
+        if (!details) return;
+
+        const { isSelected, coords, face, faceName, file, x, y, hex } = details;
+        this.detailsText.innerHTML = '';
+        const swatch = document.createElement('span');
+        swatch.className = 'position-swatch';
+        swatch.style.background = hex;
+        this.detailsText.append(
+            `${isSelected ? 'Clicked point' : 'Under cursor'}: ${this.format(coords)}`, document.createElement('br'),
+            `Face ${face} (${faceName}) · ${file}`, document.createElement('br'),
+            `Pixel ${x}, ${y} · ${hex} `, swatch
+        );
+    }
+
+    copyBugReport() {
+        const details = this.getDetails();
+        if (!details) return;
+
+        const { planetName, coords, face, faceName, file, x, y, width, height, rgba, hex } = details;
+        const report = [
+            `Planet: ${planetName}`,
+            `Lat/Long: ${coords.lat.toFixed(6)}°, ${coords.long.toFixed(6)}°`,
+            `Face: ${face} (${faceName}), ${file}`,
+            `Pixel: ${x}, ${y} of ${width}×${height}`,
+            `Color: ${hex} (rgba ${rgba.join(', ')})`,
+            `Deep link: ${buildBookmarkUrl(coords, planetName)}`
+        ].join('\n');
+
+        copyWithFeedback(report, this.bugReportButton, { restoreText: 'Copy bug report' });
+    }
+}
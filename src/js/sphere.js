@@ -2,12 +2,94 @@
 
 import * as THREE from 'three';
 
+/**
+ * Phil Nowell mapping of a point on the [-1, 1] cube onto the unit sphere.
+ * https://mathproofs.blogspot.com/2005/07/mapping-cube-to-sphere.html
+ * @param {THREE.Vector3} cubePosition - Point on the cube's surface
+ * @returns {THREE.Vector3} The corresponding point on the sphere
+ */
+export function cubeToSphere({ x, y, z }) {
+    const x2 = x * x;
+    const y2 = y * y;
+    const z2 = z * z;
+
+    return new THREE.Vector3(
+        x * Math.sqrt(1.0 - (y2 / 2.0) - (z2 / 2.0) + (y2 * z2 / 3.0)),
+        y * Math.sqrt(1.0 - (z2 / 2.0) - (x2 / 2.0) + (z2 * x2 / 3.0)),
+        z * Math.sqrt(1.0 - (x2 / 2.0) - (y2 / 2.0) + (x2 * y2 / 3.0))
+    );
+}
+
+/**
+ * Inverse of cubeToSphere: the point on the [-1, 1] cube that maps onto a sphere point.
+ * On the face of the dominant axis, with (a, b) the other two coordinates, the mapping is
+ * a = u·√(1/2 − v²/6), b = v·√(1/2 − u²/6), which solves in closed form for u² and v².
+ * @param {THREE.Vector3} point - Point on the unit sphere
+ * @returns {THREE.Vector3} Cube position; also the direction the globe shader samples the texture at
+ */
+export function sphereToCube(point) {
+    const axes = ['x', 'y', 'z'];
+    const major = axes.reduce((best, axis) => Math.abs(point[axis]) > Math.abs(point[best]) ? axis : best);
+    const [first, second] = axes.filter(axis => axis !== major);
+
+    const a2 = point[first] * point[first];
+    const b2 = point[second] * point[second];
+    const d = a2 - b2;
+    const p = 3 + 2 * d;
+    const u2 = Math.max(0, (p - Math.sqrt(Math.max(0, p * p - 24 * a2))) / 2);
+    const v2 = Math.max(0, u2 - 2 * d);
+
+    const cube = new THREE.Vector3();
+    cube[major] = Math.sign(point[major]);
+    cube[first] = Math.sign(point[first]) * Math.min(1, Math.sqrt(u2));
+    cube[second] = Math.sign(point[second]) * Math.min(1, Math.sqrt(v2));
+    return cube;
+}
+
+/**
+ * Cube map face and texture coordinates of a sampling direction, following the
+ * WebGL cube map convention the globe shader samples with. Faces are in three.js
+ * order (posx, negx, posy, negy, posz, negz), i.e. the {planet}_{face} image index.
+ * @param {THREE.Vector3} direction - Sampling direction, e.g. from sphereToCube
+ * @returns {{face: number, u: number, v: number}} Face index, and u/v in [0, 1] from the image's top-left corner
+ */
+export function getCubeFaceUv({ x, y, z }) {
+    const ax = Math.abs(x);
+    const ay = Math.abs(y);
+    const az = Math.abs(z);
+
+    let face, sc, tc, ma;
+    if (ax >= ay && ax >= az) {
+        face = x > 0 ? 0 : 1;
+        sc = x > 0 ? -z : z;
+        tc = -y;
+        ma = ax;
+    } else if (ay >= az) {
+        face = y > 0 ? 2 : 3;
+        sc = x;
+        tc = y > 0 ? z : -z;
+        ma = ay;
+    } else {
+        face = z > 0 ? 4 : 5;
+        sc = z > 0 ? x : -x;
+        tc = -y;
+        ma = az;
+    }
+
+    return { face, u: (sc / ma + 1) / 2, v: (tc / ma + 1) / 2 };
+}
+
 export class Globe {
+    static DEFAULT_TRANSITION_DURATION = 1000; // ms to cross-fade between planets
+
     constructor() {
         // Start with a high-resolution cube geometry
         this.geometry = this.createSphereFromCube(128); // Custom geometry creation
         this.material = this.createMaterial();
         this.mesh = new THREE.Mesh(this.geometry, this.material);
+
+        this.transitionDuration = Globe.DEFAULT_TRANSITION_DURATION;
+        this.transition = null; // {frame, resolve} of the running texture cross-fade
     }
 
     /**
@@ -42,15 +124,11 @@ export class Globe {
             originalPositions[i + 1] = y;
             originalPositions[i + 2] = z;
 
-            // Phil Nowell mapping formula to transform a cube vertex into a sphere vertex
-            const x2 = x * x;
-            const y2 = y * y;
-            const z2 = z * z;
-
-            // Adjust each coordinate to lie on a spherical surface
-            positions[i] = x * Math.sqrt(1.0 - (y2 / 2.0) - (z2 / 2.0) + (y2 * z2 / 3.0));
-            positions[i + 1] = y * Math.sqrt(1.0 - (z2 / 2.0) - (x2 / 2.0) + (z2 * x2 / 3.0));
-            positions[i + 2] = z * Math.sqrt(1.0 - (x2 / 2.0) - (y2 / 2.0) + (x2 * y2 / 3.0));
+            // Phil Nowell mapping to move the cube vertex onto the spherical surface
+            const spherePosition = cubeToSphere({ x, y, z });
+            positions[i] = spherePosition.x;
+            positions[i + 1] = spherePosition.y;
+            positions[i + 2] = spherePosition.z;
         }
 
         // Store original cube positions as a custom attribute to be used in the shaders
@@ -71,9 +149,16 @@ export class Globe {
         return new THREE.ShaderMaterial({
             uniforms: {
                 tCube: { value: null }, // Cube texture
+                tCubePrevious: { value: null }, // Cube texture being faded out
+                textureBlend: { value: 1.0 }, // 0 shows tCubePrevious, 1 shows tCube
+                fade: { value: 1.0 }, // Fades the globe in from black
                 lightPosition: { value: new THREE.Vector3(5, 0, 0) }, // Light position in world space
                 lightIntensity: { value: 2.0 },
-                ambientIntensity: { value: 0.01 } // Ambient light level
+                ambientIntensity: { value: 0.01 }, // Ambient light level
+                showTerminator: { value: 0.0 }, // 1.0 draws the terminator and twilight bands
+                showGraticule: { value: 0.0 }, // 1.0 draws the lat/long grid
+                graticuleStep: { value: 30.0 }, // Grid spacing in degrees
+                showCubeFaces: { value: 0.0 } // 1.0 tints the cube faces and draws their borders
             },
             vertexShader: this.getVertexShader(),
             fragmentShader: this.getFragmentShader(),
@@ -115,20 +200,62 @@ export class Globe {
      * Fragment shader for applying the cube map texture.
      * It uses normalized cube positions (passed as vCubePosition) to sample from the cube texture.
      * The sampled color is then adjusted from linear to sRGB space for correct brightness.
+     * Optionally overlays the terminator line and the civil, nautical and astronomical
+     * twilight bands (sun 0-6°, 6-12° and 12-18° below the horizon), a lat/long grid
+     * and the cube faces. The grid and faces are computed from vCubePosition, so they
+     * line up exactly with the texture and with the picked coordinates.
      */
     getFragmentShader() {
         return `
             uniform samplerCube tCube;
+            uniform samplerCube tCubePrevious;
+            uniform float textureBlend;
+            uniform float fade;
             uniform float lightIntensity;
             uniform float ambientIntensity;
+            uniform float showTerminator;
+            uniform float showGraticule;
+            uniform float graticuleStep;
+            uniform float showCubeFaces;
             
             varying vec3 vCubePosition;
             varying vec3 vWorldPosition;
             varying vec3 vWorldLightPosition;
 
+            // 1.0 for sun elevations between lower and upper (degrees), with soft edges
+            float band(float elevation, float lower, float upper) {
+                return smoothstep(lower - 0.75, lower + 0.75, elevation)
+                    * (1.0 - smoothstep(upper - 0.75, upper + 0.75, elevation));
+            }
+
+            // Phil Nowell mapping, as in cubeToSphere
+            vec3 cubeToSphere(vec3 c) {
+                vec3 c2 = c * c;
+                return c * sqrt(1.0 - c2.yzx / 2.0 - c2.zxy / 2.0 + c2.yzx * c2.zxy / 3.0);
+            }
+
+            // 1.0 on multiples of spacing, fading out over about a line width
+            float gridLine(float value, float spacing, float width) {
+                float offset = abs(fract(value / spacing + 0.5) - 0.5) * spacing;
+                return 1.0 - smoothstep(width * 0.5, width * 1.5, offset);
+            }
+
+            // Debug tint per cube face, in three.js order: posx, negx, posy, negy, posz, negz
+            vec3 faceColor(float face) {
+                if (face < 0.5) return vec3(1.0, 0.2, 0.2);
+                if (face < 1.5) return vec3(0.2, 1.0, 1.0);
+                if (face < 2.5) return vec3(0.2, 1.0, 0.2);
+                if (face < 3.5) return vec3(1.0, 0.2, 1.0);
+                if (face < 4.5) return vec3(0.2, 0.4, 1.0);
+                return vec3(1.0, 1.0, 0.2);
+            }
+
             void main() {
-                // Sample base color from cube texture
+                // Sample base color from cube texture, cross-fading from the previous one
                 vec4 texColor = textureCube(tCube, normalize(vCubePosition));
+                if (textureBlend < 1.0) {
+                    texColor = mix(textureCube(tCubePrevious, normalize(vCubePosition)), texColor, textureBlend);
+                }
                 
                 // Calculate light direction in world space using transformed light position
                 vec3 L = normalize(vWorldLightPosition - vWorldPosition);
@@ -147,9 +274,67 @@ export class Globe {
                 
                 // Apply lighting to texture color
                 vec3 finalColor = texColor.rgb * lighting;
+
+                if (showTerminator > 0.5) {
+                    // Sun elevation above the local horizon, in degrees
+                    float elevation = degrees(asin(clamp(dot(N, L), -1.0, 1.0)));
+
+                    // Twilight bands, fading out towards astronomical twilight
+                    finalColor = mix(finalColor, vec3(1.0, 0.45, 0.1), band(elevation, -6.0, 0.0) * 0.12);
+                    finalColor = mix(finalColor, vec3(0.45, 0.2, 0.6), band(elevation, -12.0, -6.0) * 0.08);
+                    finalColor = mix(finalColor, vec3(0.1, 0.1, 0.5), band(elevation, -18.0, -12.0) * 0.05);
+
+                    // Terminator line where the sun is on the horizon
+                    float line = 1.0 - smoothstep(0.0, 0.4, abs(elevation));
+                    finalColor = mix(finalColor, vec3(1.0, 0.8, 0.2), line * 0.6);
+                }
+
+                if (showCubeFaces > 0.5) {
+                    // The face is the cube position's dominant axis; the other two are its UV
+                    vec3 a = abs(vCubePosition);
+                    float face;
+                    vec2 faceUv;
+                    if (a.x >= a.y && a.x >= a.z) {
+                        face = vCubePosition.x > 0.0 ? 0.0 : 1.0;
+                        faceUv = vCubePosition.yz;
+                    } else if (a.y >= a.z) {
+                        face = vCubePosition.y > 0.0 ? 2.0 : 3.0;
+                        faceUv = vCubePosition.xz;
+                    } else {
+                        face = vCubePosition.z > 0.0 ? 4.0 : 5.0;
+                        faceUv = vCubePosition.xy;
+                    }
+                    finalColor = mix(finalColor, faceColor(face), 0.3);
+
+                    // Border where the face UV reaches the cube's edge
+                    float edge = max(abs(faceUv.x), abs(faceUv.y));
+                    float width = fwidth(edge);
+                    float border = 1.0 - smoothstep(width, width * 2.5, 1.0 - edge);
+                    finalColor = mix(finalColor, vec3(1.0), border);
+                }
+
+                if (showGraticule > 0.5) {
+                    // Surface point of this fragment, exactly as getLatLong sees picked points
+                    vec3 direction = normalize(cubeToSphere(vCubePosition));
+                    float latitude = degrees(asin(clamp(direction.y, -1.0, 1.0)));
+                    float longitude = -degrees(atan(direction.x, direction.z));
+
+                    // About a pixel in degrees; a degree of longitude shrinks towards the poles
+                    float latitudeWidth = fwidth(latitude);
+                    float longitudeWidth = latitudeWidth / max(cos(radians(latitude)), 0.001);
+
+                    float parallel = gridLine(latitude, graticuleStep, latitudeWidth);
+                    float meridian = gridLine(longitude, graticuleStep, longitudeWidth) * (1.0 - smoothstep(80.0, 89.0, abs(latitude)));
+                    finalColor = mix(finalColor, vec3(0.8), max(parallel, meridian) * 0.5);
+
+                    // Equator and prime meridian
+                    float equator = gridLine(latitude, 360.0, latitudeWidth * 2.0);
+                    float primeMeridian = gridLine(longitude, 360.0, longitudeWidth * 2.0);
+                    finalColor = mix(finalColor, vec3(1.0, 0.85, 0.2), max(equator, primeMeridian) * 0.9);
+                }
                 
                 // Convert from linear space to sRGB for correct final appearance
-                vec3 sRGBColor = pow(finalColor, vec3(0.4545));
+                vec3 sRGBColor = pow(finalColor, vec3(0.4545)) * fade;
                 
                 gl_FragColor = vec4(sRGBColor, texColor.a);
             }
@@ -158,34 +343,106 @@ export class Globe {
 
     /**
      * Assign a cube texture to the globe's material, to be used in the shaders.
+     * With a duration, the shader cross-fades from the current texture to the new one.
+     * Starting another transition cuts the running one short.
      * @param {THREE.CubeTexture} cubeTexture - The cube map texture.
+     * @param {number} [duration=0] - Cross-fade duration in milliseconds; 0 swaps instantly.
+     * @returns {Promise<boolean>} Resolves true once the new texture is fully shown, false if cut short.
      */
-    setTexture(cubeTexture) {
-        this.material.uniforms.tCube.value = cubeTexture;
+    setTexture(cubeTexture, duration = 0) {
+        const uniforms = this.material.uniforms;
+        this.finishTransition(false);
+
+        if (!uniforms.tCube.value || uniforms.tCube.value === cubeTexture || duration <= 0) {
+            uniforms.tCube.value = cubeTexture;
+            uniforms.tCubePrevious.value = null;
+            uniforms.textureBlend.value = 1.0;
+            return Promise.resolve(true);
+        }
+
+        uniforms.tCubePrevious.value = uniforms.tCube.value;
+        uniforms.tCube.value = cubeTexture;
+        uniforms.textureBlend.value = 0.0;
+
+        return new Promise(resolve => {
+            this.transition = { resolve, frame: null };
+            this.animate(duration, (progress) => {
+                uniforms.textureBlend.value = progress;
+                if (progress === 1) {
+                    uniforms.tCubePrevious.value = null;
+                    this.finishTransition(true);
+                }
+            }, this.transition);
+        });
+    }
+
+    finishTransition(isComplete) {
+        if (this.transition) {
+            cancelAnimationFrame(this.transition.frame);
+            this.transition.resolve(isComplete);
+            this.transition = null;
+        }
     }
 
     /**
-     * Fade in the globe over a specified duration.
-     * This modifies the material's opacity value over time, starting from 0 to 1.
+     * Fade in the globe from black over a specified duration.
+     * This animates the shader's fade uniform from 0 to 1.
      *
      * @param {number} duration - The fade-in duration in milliseconds.
      */
     fadeIn(duration = 2000) {
+        this.material.uniforms.fade.value = 0;
+        this.animate(duration, (progress) => {
+            this.material.uniforms.fade.value = progress;
+        });
+    }
+
+    /**
+     * Run an eased 0 → 1 animation on requestAnimationFrame.
+     * @param {number} duration - Milliseconds
+     * @param {Function} onFrame - Called with the eased progress each frame, ending with 1
+     * @param {{frame: number}} [handle] - Receives the pending frame id, for cancelling
+     */
+    animate(duration, onFrame, handle = {}) {
         const startTime = performance.now();
 
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Update material opacity based on progress
-            this.material.opacity = progress;
-            
+        const step = (currentTime) => {
+            const progress = THREE.MathUtils.clamp((currentTime - startTime) / duration, 0, 1);
+            // Smoothstep easing
+            onFrame(progress === 1 ? 1 : progress * progress * (3 - 2 * progress));
+
             if (progress < 1) {
-                requestAnimationFrame(animate);
+                handle.frame = requestAnimationFrame(step);
             }
         };
 
-        requestAnimationFrame(animate);
+        handle.frame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Show or hide the terminator and twilight bands overlay.
+     * @param {boolean} visible - Whether to draw the overlay
+     */
+    setTerminatorVisible(visible) {
+        this.material.uniforms.showTerminator.value = visible ? 1.0 : 0.0;
+    }
+
+    /**
+     * Show or hide the lat/long grid.
+     * @param {boolean} visible - Whether to draw the grid
+     * @param {number} [step] - Grid spacing in degrees
+     */
+    setGraticule(visible, step = this.material.uniforms.graticuleStep.value) {
+        this.material.uniforms.showGraticule.value = visible ? 1.0 : 0.0;
+        this.material.uniforms.graticuleStep.value = step;
+    }
+
+    /**
+     * Show or hide the cube face tint and borders.
+     * @param {boolean} visible - Whether to draw the faces
+     */
+    setCubeFacesVisible(visible) {
+        this.material.uniforms.showCubeFaces.value = visible ? 1.0 : 0.0;
     }
 
     setLightIntensity(intensity) {
@@ -0,0 +1,84 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { cubeToSphere, sphereToCube, getCubeFaceUv } from './sphere';
+
+const FACE_AXES = [
+    ['x', 1], ['x', -1],
+    ['y', 1], ['y', -1],
+    ['z', 1], ['z', -1]
+];
+
+// Positions along each face's two free axes: centre, interior, just inside the edges, edges
+const OFFSETS = [0, 0.3, -0.75, 0.999999, -0.999999, 1, -1];
+
+function cubePoints() {
+    return FACE_AXES.flatMap(([major, sign]) => {
+        const [first, second] = ['x', 'y', 'z'].filter(axis => axis !== major);
+        return OFFSETS.flatMap(a => OFFSETS.map(b => {
+            const cube = new THREE.Vector3();
+            cube[major] = sign;
+            cube[first] = a;
+            cube[second] = b;
+            return cube;
+        }));
+    });
+}
+
+describe('sphereToCube', () => {
+    it('inverts cubeToSphere on every face, up to the edges and corners', () => {
+        cubePoints().forEach(cube => {
+            const sphere = cubeToSphere(cube);
+            expect(sphere.length()).toBeCloseTo(1, 12);
+
+            // On an edge or corner several faces hold the point; it must map back to the same spot
+            const back = sphereToCube(sphere);
+            expect(back.distanceTo(cube), `cube point ${cube.toArray()}`).toBeLessThan(1e-9);
+        });
+    });
+
+    it('maps the face centres to the axes', () => {
+        FACE_AXES.forEach(([axis, sign]) => {
+            const point = new THREE.Vector3();
+            point[axis] = sign;
+            expect(sphereToCube(point).distanceTo(point)).toBe(0);
+        });
+    });
+});
+
+describe('getCubeFaceUv', () => {
+    // WebGL cube map selection (OpenGL ES 3.0 table 3.21): major axis, sc, tc;
+    // u = (sc / |ma| + 1) / 2, v = (tc / |ma| + 1) / 2
+    const TABLE = [
+        { direction: [1, 0.2, 0.4], face: 0, u: 0.3, v: 0.4 },  // +x: sc = -z, tc = -y
+        { direction: [-1, 0.2, 0.4], face: 1, u: 0.7, v: 0.4 }, // -x: sc = +z, tc = -y
+        { direction: [0.2, 1, 0.4], face: 2, u: 0.6, v: 0.7 },  // +y: sc = +x, tc = +z
+        { direction: [0.2, -1, 0.4], face: 3, u: 0.6, v: 0.3 }, // -y: sc = +x, tc = -z
+        { direction: [0.2, 0.4, 1], face: 4, u: 0.6, v: 0.3 },  // +z: sc = +x, tc = -y
+        { direction: [0.2, 0.4, -1], face: 5, u: 0.4, v: 0.3 }  // -z: sc = -x, tc = -y
+    ];
+
+    TABLE.forEach(({ direction, face, u, v }) => {
+        it(`picks face ${face} and its texture coordinates for ${direction}`, () => {
+            [1, 0.5, 3].forEach(scale => {
+                const result = getCubeFaceUv(new THREE.Vector3(...direction).multiplyScalar(scale));
+                expect(result.face).toBe(face);
+                expect(result.u).toBeCloseTo(u, 12);
+                expect(result.v).toBeCloseTo(v, 12);
+            });
+        });
+    });
+
+    it('gives the same face and UV for a cube point and the sphere point it maps to', () => {
+        // Off the edges, where the face is ambiguous
+        cubePoints().filter(cube => cube.toArray().filter(value => Math.abs(value) === 1).length === 1)
+            .forEach(cube => {
+                const fromCube = getCubeFaceUv(cube);
+                const fromSphere = getCubeFaceUv(sphereToCube(cubeToSphere(cube)));
+                expect(fromSphere.face).toBe(fromCube.face);
+                expect(fromSphere.u).toBeCloseTo(fromCube.u, 9);
+                expect(fromSphere.v).toBeCloseTo(fromCube.v, 9);
+            });
+    });
+});
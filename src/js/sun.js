@@ -34,11 +34,14 @@ export class Sun {
         EARTH: {
             OBLIQUITY: 23.439, // Earth's axial tilt in degrees
             J2000_EPOCH: 2451545.0, // Julian date for J2000 epoch (2000 January 1.5)
-            SUN_DISTANCE: 25 // Distance from Earth to Sun in arbitrary units
+            SUN_DISTANCE: 25, // Distance from Earth to Sun in arbitrary units
+            DAY_LENGTH: 24, // Hours per solar day
+            YEAR_LENGTH: 365.2422, // Solar days per year
+            EPOCH: '2000-01-01T12:00:00Z' // J2000, used when a planet sets no epoch of its own
         },
         POSITION: {
-            PHI_OFFSET: 90,    // Default offset for phi
-            THETA_OFFSET: 120,  // Default offset for theta
+            PHI_OFFSET: 0,    // Default tilt of the solar frame about the X axis, in degrees
+            THETA_OFFSET: 0,  // Default turn of the solar frame about the polar (Y) axis, in degrees
         },
         DEBUG: {
             ENABLED: false  // Debug mode off by default
@@ -52,8 +55,16 @@ export class Sun {
         this.group = new THREE.Group();
         this.phiOffset = Sun.CONFIG.POSITION.PHI_OFFSET;
         this.thetaOffset = Sun.CONFIG.POSITION.THETA_OFFSET;
+        this.orbit = null; // Planet orbit and rotation; null uses Earth's full model
+
+        // Clock driving the sun position: null time means live wall-clock time
+        this.time = null;
+        this.timeSpeed = 1; // Simulated seconds per real second
+        this.isTimePlaying = true;
+        this.lastClockUpdate = performance.now();
+
         this.createSun();
-        this.updateSunPosition(new Date()); // Initialize position
+        this.updateSunPosition(this.getTime()); // Initialize position
     }
 
     /**
@@ -216,6 +227,10 @@ export class Sun {
      * @returns {{longitude: number, latitude: number}} Sun's position
      */
     calculateSunPosition(date) {
+        if (this.orbit) {
+            return this.calculatePlanetSunPosition(date);
+        }
+
         // Convert date to Julian date
         const julianDate = this.dateToJulianDate(date);
         const d = julianDate - Sun.CONFIG.EARTH.J2000_EPOCH;
@@ -251,6 +266,62 @@ export class Sun {
         return { longitude, latitude };
     }
 
+    /**
+     * Calculates sun position for a planet with its own orbit and rotation.
+     * Simplified model: a circular orbit, with the vernal equinox at the epoch
+     * and the sun over the prime meridian at that moment.
+     * @private
+     * @param {Date} date - Current date and time
+     * @returns {{longitude: number, latitude: number}} Sun's position
+     */
+    calculatePlanetSunPosition(date) {
+        const { axialTilt, dayLength, yearLength, epochJulianDate } = this.orbit;
+        const d = this.dateToJulianDate(date) - epochJulianDate; // Earth days since the epoch
+        const dayInEarthDays = dayLength / 24;
+
+        // Sun's ecliptic longitude advances once around per year
+        const orbitRate = 360 / (yearLength * dayInEarthDays);
+        const lRad = THREE.MathUtils.degToRad(this.wrapDegrees(orbitRate * d));
+        const eRad = THREE.MathUtils.degToRad(axialTilt);
+
+        // Calculate right ascension and declination
+        const ra = Math.atan2(Math.cos(eRad) * Math.sin(lRad), Math.cos(lRad));
+        const dec = Math.asin(Math.sin(eRad) * Math.sin(lRad));
+
+        // Sidereal rotation: one turn per solar day plus the orbit's share
+        const siderealAngle = this.wrapDegrees((360 / dayInEarthDays + orbitRate) * d);
+
+        const longitude = this.wrapDegrees(THREE.MathUtils.radToDeg(ra) - siderealAngle);
+        const latitude = THREE.MathUtils.radToDeg(dec);
+
+        return { longitude, latitude };
+    }
+
+    /**
+     * Sets a planet's orbit and rotation. Missing values fall back to Earth's.
+     * Passing null (or an object with none of the values) restores the full Earth model.
+     * @param {?Object} orbit - Orbital parameters
+     * @param {number} [orbit.axialTilt] - Axial tilt in degrees
+     * @param {number} [orbit.dayLength] - Hours per solar day
+     * @param {number} [orbit.yearLength] - Solar days per year
+     * @param {string} [orbit.epoch] - ISO date of a vernal equinox with the sun over the prime meridian
+     */
+    setOrbit(orbit) {
+        const { axialTilt, dayLength, yearLength, epoch } = orbit || {};
+        if ([axialTilt, dayLength, yearLength, epoch].every(value => value === undefined)) {
+            this.orbit = null;
+        } else {
+            const { OBLIQUITY, DAY_LENGTH, YEAR_LENGTH, EPOCH } = Sun.CONFIG.EARTH;
+            this.orbit = {
+                axialTilt: axialTilt ?? OBLIQUITY,
+                dayLength: dayLength ?? DAY_LENGTH,
+                yearLength: yearLength ?? YEAR_LENGTH,
+                epochJulianDate: this.dateToJulianDate(new Date(epoch ?? EPOCH))
+            };
+        }
+        this.updateSunPosition(this.getTime());
+    }
+
     /**
      * Updates sun position based on current date
      * Based on Melba's mb_math.cpp::get_sun_zenith_and_direction()
@@ -274,7 +345,8 @@ export class Sun {
         const z = sinPhiR * Math.cos(lonRad);
         const x = sinPhiR * Math.sin(lonRad);
 
-        const sunPosNormalized = new THREE.Vector3(x, y, z).normalize();
+        // Rotate into the planet's calibrated solar frame
+        const sunPosNormalized = new THREE.Vector3(x, y, z).normalize().applyQuaternion(this.getOffsetRotation());
 
         //  Invert direction to get sun direction TOWARDS the planet's center
         const sunLightDirection = sunPosNormalized.clone().multiplyScalar(-1.0);
@@ -355,9 +427,75 @@ export class Sun {
         return degrees > 180 ? degrees - 360 : degrees;
     }
 
+    /**
+     * Gets the time the sun position is computed for
+     * @returns {Date} The simulated time, or the current time in live mode
+     */
+    getTime() {
+        return this.time === null ? new Date() : new Date(this.time);
+    }
+
+    /**
+     * Sets a simulated time, leaving live mode
+     * @param {Date} date - Time to show the sun position for
+     */
+    setTime(date) {
+        this.time = date.getTime();
+        this.updateSunPosition(this.getTime());
+    }
+
+    /**
+     * Returns to live mode, following the wall clock in real time
+     */
+    setLive() {
+        this.time = null;
+        this.timeSpeed = 1;
+        this.isTimePlaying = true;
+        this.updateSunPosition(this.getTime());
+    }
+
+    isLive() {
+        return this.time === null;
+    }
+
+    /**
+     * Sets how fast simulated time runs
+     * @param {number} speed - Simulated seconds per real second
+     */
+    setTimeSpeed(speed) {
+        if (this.isLive() && speed !== 1) {
+            this.time = Date.now();
+        }
+        this.timeSpeed = speed;
+    }
+
+    /**
+     * Starts or stops the clock; stopping leaves live mode
+     * @param {boolean} playing - Whether time should advance
+     */
+    setTimePlaying(playing) {
+        if (this.isLive() && !playing) {
+            this.time = Date.now();
+        }
+        this.isTimePlaying = playing;
+    }
+
+    /**
+     * Advances the simulated time by the real time elapsed since the last call
+     * @private
+     */
+    advanceClock() {
+        const now = performance.now();
+        if (this.time !== null && this.isTimePlaying) {
+            this.time += (now - this.lastClockUpdate) * this.timeSpeed;
+        }
+        this.lastClockUpdate = now;
+    }
+
     update(deltaTime) {
-        // Update sun position based on current time
-        this.updateSunPosition(new Date());
+        // Update sun position based on the clock
+        this.advanceClock();
+        this.updateSunPosition(this.getTime());
 
         // Update shader time for all sun planes
         this.group.children.forEach(child => {
@@ -444,14 +582,50 @@ export class Sun {
         }
     `;
 
+    /**
+     * Rotation from the computed solar frame to the planet's calibrated one:
+     * a tilt of phiOffset about the X axis followed by a turn of thetaOffset about the polar axis
+     * @returns {THREE.Quaternion} The offset rotation
+     */
+    getOffsetRotation() {
+        const euler = new THREE.Euler(
+            THREE.MathUtils.degToRad(this.phiOffset),
+            THREE.MathUtils.degToRad(this.thetaOffset),
+            0,
+            'YXZ'
+        );
+        return new THREE.Quaternion().setFromEuler(euler);
+    }
+
+    /**
+     * Sets up the sun for a planet from its planets.json "sun" entry: its orbit and
+     * rotation, and the offsets calibrating it against the game
+     * @param {Object} [params] - The entry; missing values fall back to Earth's model and no offsets
+     */
+    setPlanetParameters(params = {}) {
+        this.setOrbit(params);
+        this.setOffsets(params.phiOffset, params.thetaOffset);
+    }
+
+    /**
+     * Sets both solar frame offsets, e.g. from a planet's manifest entry
+     * @param {number} phiOffset - Tilt about the X axis in degrees
+     * @param {number} thetaOffset - Turn about the polar axis in degrees
+     */
+    setOffsets(phiOffset = Sun.CONFIG.POSITION.PHI_OFFSET, thetaOffset = Sun.CONFIG.POSITION.THETA_OFFSET) {
+        this.phiOffset = phiOffset;
+        this.thetaOffset = thetaOffset;
+        this.updateSunPosition(this.getTime());
+    }
+
     setPhiOffset(offset) {
         this.phiOffset = offset;
-        this.updateSunPosition(new Date());
+        this.updateSunPosition(this.getTime());
     }
 
     setThetaOffset(offset) {
         this.thetaOffset = offset;
-        this.updateSunPosition(new Date());
+        this.updateSunPosition(this.getTime());
     }
 
     // Add getter/setter for debug mode
@@ -0,0 +1,155 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import * as THREE from 'three';
+import { Sun } from './sun';
+import { parseManifest } from './planetManifest';
+
+const DATE = new Date('2025-03-01T09:30:00Z');
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+// The particle texture is drawn on a canvas; node has none, and nothing here looks at it
+function createCanvasStub() {
+    const context = {
+        createRadialGradient: () => ({ addColorStop() {} }),
+        fillRect() {}
+    };
+    return { getContext: () => context };
+}
+
+/**
+ * Light direction before any offset: the sun's subsolar point, pointing at the planet.
+ */
+function unrotatedDirection(sun, date) {
+    const { longitude, latitude } = sun.calculateSunPosition(date);
+    const phi = THREE.MathUtils.degToRad(90 - latitude);
+    const lonRad = THREE.MathUtils.degToRad(longitude);
+    return new THREE.Vector3(
+        Math.sin(phi) * Math.sin(lonRad),
+        Math.cos(phi),
+        Math.sin(phi) * Math.cos(lonRad)
+    ).negate();
+}
+
+function expectVectorClose(actual, expected) {
+    expect(actual.distanceTo(expected)).toBeLessThan(1e-9);
+}
+
+describe('Sun offsets', () => {
+    beforeAll(() => {
+        vi.stubGlobal('document', { createElement: createCanvasStub });
+    });
+
+    afterAll(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('leaves the light direction alone with zero offsets', () => {
+        const sun = new Sun();
+        sun.setOffsets(0, 0);
+
+        expect(sun.getOffsetRotation().angleTo(new THREE.Quaternion())).toBe(0);
+        expectVectorClose(sun.getSunZenithAndDirection(DATE).sunLightDirection, unrotatedDirection(sun, DATE));
+    });
+
+    it('tilts the light direction about the X axis by phiOffset', () => {
+        const sun = new Sun();
+        sun.setOffsets(30, 0);
+
+        const { sunLightDirection } = sun.getSunZenithAndDirection(DATE);
+        const expected = unrotatedDirection(sun, DATE).applyAxisAngle(X_AXIS, THREE.MathUtils.degToRad(30));
+        expectVectorClose(sunLightDirection, expected);
+
+        // A rotation about X keeps the X component
+        expect(sunLightDirection.x).toBeCloseTo(unrotatedDirection(sun, DATE).x, 12);
+    });
+
+    it('turns the light direction about the polar axis by thetaOffset', () => {
+        const sun = new Sun();
+        sun.setOffsets(0, -75);
+
+        const { sunLightDirection } = sun.getSunZenithAndDirection(DATE);
+        const expected = unrotatedDirection(sun, DATE).applyAxisAngle(Y_AXIS, THREE.MathUtils.degToRad(-75));
+        expectVectorClose(sunLightDirection, expected);
+        expect(sunLightDirection.y).toBeCloseTo(unrotatedDirection(sun, DATE).y, 12);
+    });
+
+    it('applies the tilt before the turn', () => {
+        const sun = new Sun();
+        sun.setOffsets(20, 45);
+
+        const expected = unrotatedDirection(sun, DATE)
+            .applyAxisAngle(X_AXIS, THREE.MathUtils.degToRad(20))
+            .applyAxisAngle(Y_AXIS, THREE.MathUtils.degToRad(45));
+        expectVectorClose(sun.getSunZenithAndDirection(DATE).sunLightDirection, expected);
+    });
+
+    it('applies each planet\'s manifest offsets to the globe\'s light', () => {
+        const planets = parseManifest([
+            { name: 'tilted', sun: { phiOffset: 15, thetaOffset: 90 } },
+            { name: 'plain' }
+        ]);
+        const sun = new Sun();
+        const globe = { material: { uniforms: { lightPosition: { value: new THREE.Vector3() } } } };
+        sun.setGlobe(globe);
+        sun.setTime(DATE);
+
+        const lightDirection = () => globe.material.uniforms.lightPosition.value.clone().normalize().negate();
+
+        sun.setPlanetParameters(planets[0].sun);
+        expect(sun.phiOffset).toBe(15);
+        expect(sun.thetaOffset).toBe(90);
+        expectVectorClose(lightDirection(), unrotatedDirection(sun, DATE)
+            .applyAxisAngle(X_AXIS, THREE.MathUtils.degToRad(15))
+            .applyAxisAngle(Y_AXIS, THREE.MathUtils.degToRad(90)));
+
+        // Switching to a planet without offsets drops the previous planet's ones
+        sun.setPlanetParameters(planets[1].sun);
+        expect(sun.phiOffset).toBe(0);
+        expect(sun.thetaOffset).toBe(0);
+        expectVectorClose(lightDirection(), unrotatedDirection(sun, DATE));
+    });
+});
+
+describe('Sun orbit', () => {
+    const EPOCH = '2030-06-01T00:00:00Z';
+    const HOUR = 3600 * 1000; // ms
+
+    beforeAll(() => {
+        vi.stubGlobal('document', { createElement: createCanvasStub });
+    });
+
+    afterAll(() => {
+        vi.unstubAllGlobals();
+    });
+
+    function sunPositionAfter(orbit, ms) {
+        const sun = new Sun();
+        sun.setOrbit({ epoch: EPOCH, ...orbit });
+        return sun.calculateSunPosition(new Date(Date.parse(EPOCH) + ms));
+    }
+
+    // Longitudes are equal if they differ by whole turns
+    function expectSameLongitude(actual, expected) {
+        expect(THREE.MathUtils.euclideanModulo(actual - expected + 180, 360) - 180).toBeCloseTo(0, 6);
+    }
+
+    it('puts the sun over the equator and the prime meridian at the epoch', () => {
+        const { longitude, latitude } = sunPositionAfter({ axialTilt: 0, dayLength: 30, yearLength: 500 }, 0);
+        expect(latitude).toBeCloseTo(0, 9);
+        expectSameLongitude(longitude, 0);
+    });
+
+    it('moves the subsolar point half way round in half a day', () => {
+        const { longitude, latitude } = sunPositionAfter({ axialTilt: 0, dayLength: 30, yearLength: 500 }, 15 * HOUR);
+        expect(latitude).toBeCloseTo(0, 9);
+        expectSameLongitude(longitude, 180);
+    });
+
+    it('reaches the axial tilt in latitude a quarter year after the equinox', () => {
+        // 400 days of 24 hours: a quarter year is 100 Earth days
+        const { latitude } = sunPositionAfter({ axialTilt: 25, dayLength: 24, yearLength: 400 }, 100 * 24 * HOUR);
+        expect(latitude).toBeCloseTo(25, 6);
+    });
+});
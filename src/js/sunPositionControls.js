@@ -23,16 +23,16 @@ export class SunPositionControls {
         // Create sliders for both phi and theta controls
         const phiControls = this.createSliderControl({
             label: 'Phi Offset:',
-            min: 0,
-            max: 180,
+            min: -90,
+            max: 90,
             value: this.sun.phiOffset,
             onChange: (value) => this.sun.setPhiOffset(value)
         });
 
         const thetaControls = this.createSliderControl({
             label: 'Theta Offset:',
-            min: 0,
-            max: 360,
+            min: -180,
+            max: 180,
             value: this.sun.thetaOffset,
             onChange: (value) => this.sun.setThetaOffset(value)
         });
@@ -0,0 +1,69 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+import { getLatLong } from './utils';
+
+/**
+ * Day/night overlay: the terminator and twilight bands drawn by the globe shader,
+ * plus a marker on the subsolar point.
+ */
+export class TerminatorOverlay {
+    /**
+     * @param {THREE.Group} group - Group the globe lives in; the marker is added to it
+     * @param {Globe} globe - The globe whose shader draws the bands
+     */
+    constructor(group, globe) {
+        this.globe = globe;
+        this.visible = false;
+
+        const geometry = new THREE.SphereGeometry(0.012, 16, 16);
+        const material = new THREE.MeshBasicMaterial({ color: 0xffdd33 });
+        this.subsolarMarker = new THREE.Mesh(geometry, material);
+        this.subsolarMarker.visible = false;
+        group.add(this.subsolarMarker);
+    }
+
+    /**
+     * @param {boolean} visible - Whether to show the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.globe.setTerminatorVisible(visible);
+        this.subsolarMarker.visible = visible;
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    /**
+     * The point of the globe with the sun at its zenith.
+     * @returns {THREE.Vector3} Unit vector in the globe's local frame
+     */
+    getSubsolarPoint() {
+        return this.globe.material.uniforms.lightPosition.value.clone().normalize();
+    }
+
+    /**
+     * Follow the sun with the subsolar marker; call once per frame.
+     */
+    update() {
+        if (this.visible) {
+            this.subsolarMarker.position.copy(this.getSubsolarPoint().multiplyScalar(1.01));
+        }
+    }
+}
+
+/**
+ * Local solar time at a location: 12:00 under the sun, advancing by an hour
+ * every 15° of longitude the sun has already passed.
+ * @param {{long: number}} coords - The location, longitude in degrees
+ * @param {THREE.Vector3} subsolarPoint - Subsolar point in the globe's local frame
+ * @returns {string} The time as "HH:MM"
+ */
+export function getLocalSolarTime(coords, subsolarPoint) {
+    const subsolar = getLatLong(subsolarPoint);
+    const hours = ((12 + (subsolar.long - coords.long) / 15) % 24 + 24) % 24;
+    const minutes = Math.floor(hours * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,50 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+// Decoded pixels per cube texture face, decoded on first use
+const decodedFaces = new WeakMap();
+
+/**
+ * Read a texel of a cube texture on the CPU, from the face images it was loaded from.
+ * Faces may be images or canvases, which are drawn once to read their pixels, or
+ * already hold RGBA pixels as {width, height, data} (ImageData, a DataTexture's image).
+ * @param {THREE.CubeTexture|{images: Array}} texture - The cube texture, or anything with its face images
+ * @param {number} face - Face index (posx, negx, posy, negy, posz, negz)
+ * @param {number} u - Horizontal texture coordinate in [0, 1], from the image's left edge
+ * @param {number} v - Vertical texture coordinate in [0, 1], from the image's top edge
+ * @returns {{x: number, y: number, width: number, height: number, rgba: number[], hex: string}}
+ *          The pixel's position in the face image, the image size and the pixel's colour
+ */
+export function sampleTexel(texture, face, u, v) {
+    const image = decodeFace(texture, face);
+    const x = Math.min(image.width - 1, Math.floor(u * image.width));
+    const y = Math.min(image.height - 1, Math.floor(v * image.height));
+
+    const offset = (y * image.width + x) * 4;
+    const rgba = Array.from(image.data.subarray(offset, offset + 4));
+    const hex = '#' + rgba.slice(0, 3).map(channel => channel.toString(16).padStart(2, '0')).join('');
+    return { x, y, width: image.width, height: image.height, rgba, hex };
+}
+
+function decodeFace(texture, face) {
+    if (!decodedFaces.has(texture)) {
+        decodedFaces.set(texture, []);
+    }
+    const faces = decodedFaces.get(texture);
+
+    if (!faces[face]) {
+        const source = texture.images[face];
+        if (source.data) {
+            // Already RGBA pixels: nothing to decode
+            faces[face] = source;
+            return source;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(source, 0, 0);
+        faces[face] = context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+    return faces[face];
+}
@@ -0,0 +1,102 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect } from 'vitest';
+import { sampleTexel } from './texelSampler';
+import { sphereToCube, cubeToSphere, getCubeFaceUv } from './sphere';
+import { getLatLong, latLongToVector } from './utils';
+
+const SIZE = 9; // Odd, so face centres fall in the middle of a texel
+
+/**
+ * Cube texture whose texels encode where they are: red = face, green = column, blue = row.
+ */
+function createSyntheticTexture() {
+    const images = Array.from({ length: 6 }, (_, face) => {
+        const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+        for (let y = 0; y < SIZE; y++) {
+            for (let x = 0; x < SIZE; x++) {
+                data.set([face, x, y, 255], (y * SIZE + x) * 4);
+            }
+        }
+        return { width: SIZE, height: SIZE, data };
+    });
+    return { images };
+}
+
+describe('sampleTexel', () => {
+    it('reads the texel at a face UV', () => {
+        const texture = createSyntheticTexture();
+
+        expect(sampleTexel(texture, 3, 0, 0)).toEqual({
+            x: 0, y: 0, width: SIZE, height: SIZE, rgba: [3, 0, 0, 255], hex: '#030000'
+        });
+        expect(sampleTexel(texture, 5, 0.5, 0.26)).toMatchObject({ x: 4, y: 2, rgba: [5, 4, 2, 255] });
+    });
+
+    it('keeps the far edges on the last texel', () => {
+        expect(sampleTexel(createSyntheticTexture(), 1, 1, 1)).toMatchObject({ x: SIZE - 1, y: SIZE - 1, hex: '#010808' });
+    });
+});
+
+// Cube point of a face's texture coordinates sc, tc in [-1, 1]: the WebGL selection table run backwards
+const FACE_TO_CUBE = [
+    (sc, tc) => [1, -tc, -sc],
+    (sc, tc) => [-1, -tc, sc],
+    (sc, tc) => [sc, 1, tc],
+    (sc, tc) => [sc, -1, -tc],
+    (sc, tc) => [sc, -tc, 1],
+    (sc, tc) => [-sc, -tc, -1]
+];
+
+/**
+ * The texel whose centre lies closest to a globe point, found by trying every texel.
+ */
+function nearestTexel(point) {
+    let best = null;
+    FACE_TO_CUBE.forEach((toCube, face) => {
+        for (let y = 0; y < SIZE; y++) {
+            for (let x = 0; x < SIZE; x++) {
+                const [cx, cy, cz] = toCube((x + 0.5) / SIZE * 2 - 1, (y + 0.5) / SIZE * 2 - 1);
+                const distance = cubeToSphere({ x: cx, y: cy, z: cz }).distanceTo(point);
+                if (!best || distance < best.distance) best = { face, x, y, distance };
+            }
+        }
+    });
+    return best;
+}
+
+describe('picking chain', () => {
+    // lat/long → globe point → cube face and UV → texel, as the cursor readout does it
+    // The mapping is curved, so the nearest texel centre is only certain to be the texel
+    // under the point away from texel borders: these locations sit well inside theirs
+    const LOCATIONS = [
+        { lat: 0, long: 0, face: 4 },     // +z, the texture's centre
+        { lat: 90, long: 0, face: 2 },    // +y, north pole
+        { lat: -90, long: 0, face: 3 },   // -y, south pole
+        { lat: 0, long: 90, face: 1 },    // -x: east is towards -x in the globe's frame
+        { lat: 0, long: -90, face: 0 },   // +x
+        { lat: 0, long: 180, face: 5 },   // -z
+        { lat: 30, long: 20, face: 4 },
+        { lat: -40, long: -130, face: 3 },
+        { lat: 10, long: 160, face: 5 },
+        { lat: 55, long: -60, face: 2 }
+    ];
+
+    LOCATIONS.forEach(({ lat, long, face }) => {
+        it(`agrees at ${lat}, ${long}`, () => {
+            const point = latLongToVector(lat, long);
+            const coords = getLatLong(point);
+            expect(coords.lat).toBeCloseTo(lat, 9);
+            if (Math.abs(lat) < 90) {
+                expect(Math.abs(coords.long - long) % 360).toBeCloseTo(0, 9);
+            }
+
+            const uv = getCubeFaceUv(sphereToCube(point));
+            expect(uv.face).toBe(face);
+
+            const { x, y } = nearestTexel(point);
+            const texel = sampleTexel(createSyntheticTexture(), uv.face, uv.u, uv.v);
+            expect(texel.rgba).toEqual([face, x, y, 255]);
+        });
+    });
+});
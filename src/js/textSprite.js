@@ -0,0 +1,47 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import * as THREE from 'three';
+
+/**
+ * Screen-facing text label that keeps a fixed size on screen.
+ * @param {string} text - Label text
+ * @param {Object} [options]
+ * @param {string} [options.color] - CSS text colour
+ * @param {number} [options.height] - Height as a fraction of the viewport
+ * @returns {THREE.Sprite} The label; dispose its material and map when removing it
+ */
+export function createTextSprite(text, { color = '#ffffff', height = 0.03 } = {}) {
+    const fontSize = 48;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = `${fontSize}px Arial`;
+    canvas.width = Math.ceil(context.measureText(text).width) + 16;
+    canvas.height = fontSize + 16;
+
+    // Resizing the canvas resets the context
+    context.font = `${fontSize}px Arial`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineWidth = 6;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    context.strokeText(text, canvas.width / 2, canvas.height / 2);
+    context.fillStyle = color;
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const material = new THREE.SpriteMaterial({ map: texture, sizeAttenuation: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    return sprite;
+}
+
+/**
+ * Remove a label created by createTextSprite and free its GPU resources.
+ * @param {THREE.Sprite} sprite - The label
+ */
+export function disposeTextSprite(sprite) {
+    sprite.removeFromParent();
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+}
@@ -0,0 +1,166 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { MissingTexturesError } from './textureLoader';
+
+/**
+ * Least-recently-used cache of planet cube textures.
+ * Keeps loaded planets around within a memory budget and disposes the GPU copies
+ * of those it evicts. Planets marked in use are never evicted.
+ */
+export class TextureCache {
+    static DEFAULT_BUDGET = 256 * 1024 * 1024; // bytes
+
+    /**
+     * @param {TextureLoader} textureLoader - Loads the textures on a miss
+     * @param {Object} [options]
+     * @param {number} [options.budget] - Memory budget in bytes for the cached textures
+     */
+    constructor(textureLoader, { budget = TextureCache.DEFAULT_BUDGET } = {}) {
+        this.textureLoader = textureLoader;
+        this.budget = budget;
+        this.entries = new Map(); // planet name → {promise, texture, bytes, progress, listeners}, least recently used first
+        this.inUse = new Set();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Get a planet's cube texture, loading it on a miss.
+     * Rejections match TextureLoader.loadTextures; a MissingTexturesError is cached
+     * along with its placeholder texture so it isn't loaded again.
+     * @param {string} planetName - The planet
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - As for TextureLoader.loadTextures; also called
+     *        for a planet that is still being prefetched, starting with the progress so far
+     * @returns {Promise<THREE.CubeTexture>}
+     */
+    get(planetName, { onProgress } = {}) {
+        if (!this.entries.has(planetName)) {
+            this.misses++;
+            return this.load(planetName, { onProgress }).promise;
+        }
+
+        this.hits++;
+        const entry = this.touch(planetName);
+        if (onProgress && !entry.texture) {
+            if (entry.progress) onProgress(entry.progress);
+            entry.listeners.add(onProgress);
+        }
+        return entry.promise;
+    }
+
+    /**
+     * Load planets in the background so switching to them is instant.
+     * Already cached planets are left alone and don't count as hits.
+     * @param {string[]} planetNames - The planets to load
+     */
+    prefetch(planetNames) {
+        planetNames
+            .filter(planetName => !this.entries.has(planetName))
+            .forEach(planetName => this.load(planetName).promise.catch(() => {}));
+    }
+
+    /**
+     * Protect the textures on screen from eviction.
+     * @param {string[]} planetNames - Planets whose textures are being drawn
+     */
+    setInUse(planetNames) {
+        this.inUse = new Set(planetNames);
+        this.evict();
+    }
+
+    /**
+     * @param {number} budget - New memory budget in bytes
+     */
+    setBudget(budget) {
+        this.budget = budget;
+        this.evict();
+    }
+
+    /**
+     * @returns {{hits: number, misses: number, bytes: number, budget: number, planets: string[]}}
+     */
+    getStats() {
+        const entries = [...this.entries.values()];
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+            budget: this.budget,
+            planets: [...this.entries.keys()]
+        };
+    }
+
+    load(planetName, { onProgress } = {}) {
+        const entry = { texture: null, bytes: 0, progress: null, listeners: new Set() };
+        if (onProgress) entry.listeners.add(onProgress);
+
+        const reportProgress = (progress) => {
+            entry.progress = progress;
+            entry.listeners.forEach(listener => listener(progress));
+        };
+        entry.promise = this.textureLoader.loadTextures(planetName, { onProgress: reportProgress }).then(
+            texture => {
+                entry.listeners.clear();
+                this.store(planetName, entry, texture);
+                return texture;
+            },
+            error => {
+                entry.listeners.clear();
+                if (error instanceof MissingTexturesError) {
+                    this.store(planetName, entry, error.texture);
+                } else if (this.entries.get(planetName) === entry) {
+                    this.entries.delete(planetName);
+                }
+                throw error;
+            }
+        );
+        this.entries.set(planetName, entry);
+        return entry;
+    }
+
+    store(planetName, entry, texture) {
+        entry.texture = texture;
+        entry.bytes = this.estimateBytes(texture);
+        if (this.entries.get(planetName) === entry) {
+            this.evict();
+        } else {
+            // Evicted while loading
+            texture.dispose();
+        }
+    }
+
+    touch(planetName) {
+        const entry = this.entries.get(planetName);
+        this.entries.delete(planetName);
+        this.entries.set(planetName, entry);
+        return entry;
+    }
+
+    /**
+     * Drop least recently used textures until the cache fits its budget.
+     * The most recently used one always stays: it was just asked for.
+     */
+    evict() {
+        let { bytes } = this.getStats();
+        const newest = [...this.entries.keys()].pop();
+        for (const [planetName, entry] of this.entries) {
+            if (bytes <= this.budget) break;
+            // Textures still loading or on screen stay
+            if (!entry.texture || this.inUse.has(planetName) || planetName === newest) continue;
+
+            entry.texture.dispose();
+            this.entries.delete(planetName);
+            bytes -= entry.bytes;
+        }
+    }
+
+    /**
+     * GPU memory of a cube texture: six RGBA faces plus a third for the mipmaps.
+     * @param {THREE.CubeTexture} texture
+     * @returns {number} Bytes
+     */
+    estimateBytes(texture) {
+        return texture.images.reduce((total, image) => total + image.width * image.height * 4, 0) * 4 / 3;
+    }
+}
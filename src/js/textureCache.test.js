@@ -0,0 +1,61 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect, vi } from 'vitest';
+import { TextureCache } from './textureCache';
+
+/**
+ * Texture loader whose loads finish when the test says so.
+ */
+function createLoader() {
+    const loads = {};
+    return {
+        loads,
+        loadTextures(planetName, { onProgress }) {
+            let finish;
+            const promise = new Promise(resolve => {
+                finish = resolve;
+            });
+            loads[planetName] = {
+                progress: (loaded) => onProgress({ planet_name: planetName, loaded, total: 6, missing: [] }),
+                finish: () => finish({ images: [{ width: 1, height: 1 }], dispose() {} })
+            };
+            return promise;
+        }
+    };
+}
+
+describe('TextureCache', () => {
+    it('reports the progress of a planet that is still being prefetched', async () => {
+        const loader = createLoader();
+        const cache = new TextureCache(loader);
+        cache.prefetch(['Dractun']);
+        loader.loads.Dractun.progress(2);
+
+        const onProgress = vi.fn();
+        const promise = cache.get('Dractun', { onProgress });
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ loaded: 2, total: 6 }));
+
+        loader.loads.Dractun.progress(3);
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ loaded: 3 }));
+
+        loader.loads.Dractun.finish();
+        await promise;
+        expect(cache.getStats()).toMatchObject({ hits: 1, misses: 0 });
+    });
+
+    it('forwards progress on a miss and not on a hit once loaded', async () => {
+        const loader = createLoader();
+        const cache = new TextureCache(loader);
+
+        const onProgress = vi.fn();
+        const promise = cache.get('Zihan', { onProgress });
+        loader.loads.Zihan.progress(6);
+        loader.loads.Zihan.finish();
+        await promise;
+        expect(onProgress).toHaveBeenCalledTimes(1);
+
+        const onLaterProgress = vi.fn();
+        await cache.get('Zihan', { onProgress: onLaterProgress });
+        expect(onLaterProgress).not.toHaveBeenCalled();
+    });
+});
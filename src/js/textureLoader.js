@@ -1,36 +1,124 @@
 // Copyright (C) 2025 PLAYERUNKNOWN Productions
 
 import * as THREE from 'three';
+import { parseManifest, getTextureUrls, DEFAULT_PLANET } from './planetManifest';
 
 export class TextureLoader {
+    static PLACEHOLDER_SIZE = 512; // px, when no face loaded to take the size from
+
     constructor() {
         this.planets = [];
+        this.planetInfo = {};
     }
 
     async init() {
+        let planets;
         try {
             const response = await fetch('./planets.json');
-            const data = await response.json();
-            this.planets = data.planets;
+            planets = parseManifest(await response.json());
         } catch (error) {
-            // Fallback to original hardcoded list if fetch fails
-            this.planets = ["planet_hd_2025-04"];
+            console.error(`${error.message}\nShowing only ${DEFAULT_PLANET}.`);
+            planets = parseManifest([DEFAULT_PLANET]);
         }
+
+        this.planets = planets.map(planet => planet.name);
+        planets.forEach(planet => {
+            this.planetInfo[planet.name] = planet;
+        });
+    }
+
+    /**
+     * Get a planet's entry from planets.json, with defaults filled in by parseManifest.
+     * @param {string} planet_name - The planet's name
+     * @returns {Object} The planet's entry, or an empty object for an unknown planet
+     */
+    getPlanetInfo(planet_name) {
+        return this.planetInfo[planet_name] || {};
     }
 
-    async loadTextures(planet_name) {
+    /**
+     * Load a planet's six cube map faces.
+     * Faces are loaded one by one so progress can be reported and missing files listed;
+     * a missing face is replaced by a checkerboard so the rest of the planet still shows.
+     * @param {string} planet_name - The planet to load
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called after each face with {planet_name, url, loaded, total, missing}
+     * @returns {Promise<THREE.CubeTexture>} The cube texture, once every face is loaded
+     * @throws {MissingTexturesError} If any face failed to load; carries the missing URLs
+     *         and a texture with placeholders in their place
+     */
+    async loadTextures(planet_name, { onProgress } = {}) {
         // assumes a set order cubemap
         // directions order ['posx', 'negx', 'posy', 'negy', 'posz', 'negz']
-        const urls = [0, 1, 2, 3, 4, 5].map( i => `./images/${planet_name}_${i}.png`)
-
-        const loader = new THREE.CubeTextureLoader();
-        const cubeTexture = await new Promise(resolve => {
-            loader.load(urls, texture => {
-                texture.colorSpace = THREE.SRGBColorSpace;
-                resolve(texture);
-            });
-        });
+        const urls = getTextureUrls(this.getPlanetInfo(planet_name));
+
+        const loader = new THREE.ImageLoader();
+        const missing = [];
+        let loaded = 0;
+        const images = await Promise.all(urls.map(url => new Promise(resolve => {
+            const done = (image) => {
+                loaded++;
+                if (!image) missing.push(url);
+                if (onProgress) {
+                    onProgress({ planet_name, url, loaded, total: urls.length, missing: [...missing] });
+                }
+                resolve(image);
+            };
+            loader.load(url, done, undefined, () => done(null));
+        })));
+
+        // Placeholders must match the real faces: a cube map's faces share one size
+        const loadedImage = images.find(image => image);
+        const size = loadedImage ? loadedImage.width : TextureLoader.PLACEHOLDER_SIZE;
+        const faces = images.map(image => image || this.createPlaceholder(size));
 
+        const cubeTexture = new THREE.CubeTexture(faces);
+        cubeTexture.colorSpace = THREE.SRGBColorSpace;
+        cubeTexture.needsUpdate = true;
+
+        if (missing.length > 0) {
+            throw new MissingTexturesError(planet_name, missing, urls.length, cubeTexture);
+        }
         return cubeTexture;
     }
-} 
\ No newline at end of file
+
+    /**
+     * Checkerboard standing in for a missing cube map face.
+     * @param {number} size - Width and height in pixels
+     * @returns {HTMLCanvasElement}
+     */
+    createPlaceholder(size) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        const square = size / 16;
+        for (let y = 0; y < 16; y++) {
+            for (let x = 0; x < 16; x++) {
+                context.fillStyle = (x + y) % 2 === 0 ? '#ff00ff' : '#202020';
+                context.fillRect(x * square, y * square, square, square);
+            }
+        }
+        return canvas;
+    }
+}
+
+/**
+ * Some of a planet's cube map faces could not be loaded.
+ */
+export class MissingTexturesError extends Error {
+    /**
+     * @param {string} planet_name - The planet being loaded
+     * @param {string[]} urls - URLs of the faces that failed
+     * @param {number} total - Number of faces requested
+     * @param {THREE.CubeTexture} texture - The cube texture with checkerboards for the missing faces
+     */
+    constructor(planet_name, urls, total, texture) {
+        super(`${planet_name}: ${urls.length} of ${total} textures could not be loaded:\n${urls.join('\n')}`);
+        this.name = 'MissingTexturesError';
+        this.planet_name = planet_name;
+        this.urls = urls;
+        this.texture = texture;
+        this.hasAnyFace = urls.length < total;
+    }
+}
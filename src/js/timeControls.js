@@ -0,0 +1,141 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { setUrlParam } from './deepLink';
+
+/**
+ * Time-of-day panel for the sun: a date/time picker, a timeline to scrub through
+ * the day, play/pause, playback speed and a button to return to the current time.
+ * A chosen time is kept in the page URL's "time" parameter so it can be shared.
+ */
+export class TimeControls {
+    static SPEEDS = [
+        { label: '1×', value: 1 },
+        { label: '1 min/s', value: 60 },
+        { label: '10 min/s', value: 600 },
+        { label: '1 h/s', value: 3600 },
+        { label: '6 h/s', value: 21600 },
+        { label: '1 day/s', value: 86400 }
+    ];
+
+    /**
+     * @param {Sun} sun - The sun whose clock is controlled
+     */
+    constructor(sun) {
+        this.sun = sun;
+        this.displayedTime = null;
+        this.createPanel();
+        this.update();
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'time-panel';
+        this.panel.innerHTML = `
+            <div class="controls-title">Time <span class="time-live">LIVE</span></div>
+            <input class="time-input" type="datetime-local" step="1">
+            <input class="time-timeline" type="range" min="0" max="1439" step="1" title="Time of day">
+            <div class="time-buttons">
+                <button type="button" data-action="toggle" title="Play / pause">⏸</button>
+                <select class="time-speed" title="Playback speed">
+                    ${TimeControls.SPEEDS.map(({ label, value }) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <button type="button" data-action="now">Now</button>
+            </div>
+        `;
+        document.body.appendChild(this.panel);
+
+        this.input = this.panel.querySelector('.time-input');
+        this.timeline = this.panel.querySelector('.time-timeline');
+        this.speed = this.panel.querySelector('.time-speed');
+        this.toggleButton = this.panel.querySelector('[data-action="toggle"]');
+        this.liveBadge = this.panel.querySelector('.time-live');
+
+        this.input.addEventListener('change', () => {
+            const date = new Date(this.input.value);
+            if (!isNaN(date.getTime())) {
+                this.setTime(date);
+            }
+        });
+
+        this.timeline.addEventListener('input', () => {
+            // Keep the day, replace the time of day
+            const date = this.sun.getTime();
+            const minutes = parseInt(this.timeline.value, 10);
+            date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+            this.sun.setTime(date);
+            this.update();
+        });
+        this.timeline.addEventListener('change', () => this.saveToUrl());
+
+        this.toggleButton.addEventListener('click', () => {
+            this.sun.setTimePlaying(!this.sun.isTimePlaying);
+            this.saveToUrl();
+            this.update();
+        });
+
+        this.speed.addEventListener('change', () => {
+            this.sun.setTimeSpeed(parseFloat(this.speed.value));
+            this.update();
+        });
+
+        this.panel.querySelector('[data-action="now"]').addEventListener('click', () => {
+            this.sun.setLive();
+            this.speed.value = '1';
+            setUrlParam('time', null);
+            this.update();
+        });
+
+        // On small screens the panel starts collapsed; the title toggles it
+        this.panel.querySelector('.controls-title').addEventListener('click', () => {
+            this.panel.classList.toggle('expanded');
+        });
+    }
+
+    /**
+     * Show the sun at a fixed time, paused so the lighting stays put.
+     * @param {Date} date - The time to show
+     */
+    setTime(date) {
+        this.sun.setTime(date);
+        this.sun.setTimePlaying(false);
+        this.saveToUrl();
+        this.update();
+    }
+
+    saveToUrl() {
+        setUrlParam('time', this.sun.isLive() ? null : this.sun.getTime().toISOString());
+    }
+
+    /**
+     * Refresh the panel from the sun's clock; cheap enough to call every frame.
+     */
+    update() {
+        const date = this.sun.getTime();
+        const isPlaying = this.sun.isTimePlaying;
+
+        // Only touch the DOM when the displayed second changes
+        const displayed = `${Math.floor(date.getTime() / 1000)}|${isPlaying}|${this.sun.isLive()}`;
+        if (displayed === this.displayedTime) return;
+        this.displayedTime = displayed;
+
+        if (document.activeElement !== this.input) {
+            this.input.value = toLocalInputValue(date);
+        }
+        if (document.activeElement !== this.timeline) {
+            this.timeline.value = date.getHours() * 60 + date.getMinutes();
+        }
+        this.toggleButton.textContent = isPlaying ? '⏸' : '▶';
+        this.liveBadge.classList.toggle('visible', this.sun.isLive());
+    }
+}
+
+/**
+ * Format a date for a datetime-local input, in local time.
+ * @param {Date} date - The date to format
+ * @returns {string} The value, e.g. "2025-06-21T05:30:00"
+ */
+function toLocalInputValue(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
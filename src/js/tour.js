@@ -0,0 +1,266 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { latLongToVector } from './utils';
+import { getUrlParam } from './deepLink';
+
+/**
+ * Validate a tour document and fill in defaults.
+ *
+ * A tour looks like:
+ *   { "name": "...", "stops": [{ "planet": "Dractun", "lat": 12.5, "long": -43.2,
+ *     "distance": 2.0, "dwell": 5, "caption": "..." }, ...] }
+ * lat/long are in degrees, distance is the camera distance from the globe center
+ * and dwell the number of seconds to stay at the stop.
+ *
+ * @param {Object} data - The parsed tour JSON
+ * @returns {{name: string, stops: Object[]}} The validated tour
+ * @throws {Error} If the tour is malformed
+ */
+export function parseTour(data) {
+    if (!data || !Array.isArray(data.stops) || data.stops.length === 0) {
+        throw new Error('A tour needs a non-empty "stops" array');
+    }
+
+    const stops = data.stops.map((stop, index) => {
+        const where = `Stop ${index + 1}`;
+        if (!Number.isFinite(stop.lat) || stop.lat < -90 || stop.lat > 90) {
+            throw new Error(`${where}: "lat" must be a number between -90 and 90`);
+        }
+        if (!Number.isFinite(stop.long)) {
+            throw new Error(`${where}: "long" must be a number`);
+        }
+        if (stop.distance !== undefined && !Number.isFinite(stop.distance)) {
+            throw new Error(`${where}: "distance" must be a number`);
+        }
+        if (stop.dwell !== undefined && !(Number.isFinite(stop.dwell) && stop.dwell >= 0)) {
+            throw new Error(`${where}: "dwell" must be a non-negative number of seconds`);
+        }
+
+        return {
+            planet: stop.planet || null,
+            lat: stop.lat,
+            long: stop.long,
+            distance: stop.distance ?? null,
+            dwell: stop.dwell ?? TourPlayer.DEFAULT_DWELL,
+            caption: stop.caption || ''
+        };
+    });
+
+    return { name: data.name || 'Tour', stops };
+}
+
+/**
+ * Read the tour URL from the page URL's "tour" parameter (query string or hash).
+ * @param {Location} location - The location to read from
+ * @returns {?string} The tour URL, or null if there is none
+ */
+export function getTourUrl(location = window.location) {
+    return getUrlParam('tour', location);
+}
+
+/**
+ * Plays a tour: flies the camera from stop to stop along great-circle arcs,
+ * switching planets when a stop is on another one. Grabbing the globe during
+ * a flight pauses the tour.
+ */
+export class TourPlayer {
+    static DEFAULT_DWELL = 5; // seconds
+
+    /**
+     * @param {EventManager} eventManager - Used to move the camera and place the marker
+     * @param {Object} callbacks
+     * @param {Function} callbacks.getPlanetName - Returns the name of the current planet
+     * @param {Function} callbacks.changePlanet - Switches to a planet by name, returns a promise
+     */
+    constructor(eventManager, { getPlanetName, changePlanet }) {
+        this.eventManager = eventManager;
+        this.getPlanetName = getPlanetName;
+        this.changePlanet = changePlanet;
+
+        this.tour = null;
+        this.index = -1;
+        this.isPlaying = false;
+        this.isFlying = false;
+        this.isInterrupted = false;
+        this.dwellUntil = 0;
+        this.pausedDwell = 0;
+
+        this.createPanel();
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'tour-panel';
+        this.panel.innerHTML = `
+            <div class="tour-header">
+                <span class="tour-name"></span>
+                <span class="tour-progress"></span>
+                <button type="button" data-action="close" title="Close tour">×</button>
+            </div>
+            <div class="tour-caption"></div>
+            <div class="tour-buttons">
+                <button type="button" data-action="previous" title="Previous stop">⏮</button>
+                <button type="button" data-action="toggle" title="Play / pause">⏯</button>
+                <button type="button" data-action="next" title="Next stop">⏭</button>
+            </div>
+        `;
+        document.body.appendChild(this.panel);
+
+        this.panel.querySelector('[data-action="previous"]').addEventListener('click', () => this.previous());
+        this.panel.querySelector('[data-action="toggle"]').addEventListener('click', () => this.toggle());
+        this.panel.querySelector('[data-action="next"]').addEventListener('click', () => this.next());
+        this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Fetch and validate a tour file.
+     * @param {string} url - Where to fetch the tour JSON from
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch tour ${url}: ${response.status}`);
+        }
+        this.setTour(parseTour(await response.json()));
+    }
+
+    /**
+     * Start over with a new tour, paused before its first stop.
+     * @param {{name: string, stops: Object[]}} tour - A tour as returned by parseTour
+     */
+    setTour(tour) {
+        this.tour = tour;
+        this.index = -1;
+        this.isPlaying = false;
+        this.isFlying = false;
+        this.panel.querySelector('.tour-name').textContent = tour.name;
+        this.panel.classList.add('visible');
+        this.updatePanel();
+    }
+
+    play() {
+        if (!this.tour) return;
+        this.isPlaying = true;
+
+        if (this.index === -1) {
+            this.goTo(0);
+        } else if (this.isInterrupted) {
+            this.goTo(this.index);
+        } else if (!this.isFlying) {
+            // Resume the dwell where it was paused
+            this.dwellUntil = performance.now() + this.pausedDwell;
+        }
+        this.updatePanel();
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        this.pausedDwell = Math.max(0, this.dwellUntil - performance.now());
+        this.updatePanel();
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    next() {
+        if (this.tour && this.index < this.tour.stops.length - 1) {
+            this.goTo(this.index + 1);
+        }
+    }
+
+    previous() {
+        if (this.tour && this.index > 0) {
+            this.goTo(this.index - 1);
+        }
+    }
+
+    close() {
+        if (this.isFlying) {
+            this.eventManager.cameraAnimator.cancel();
+        }
+        this.tour = null;
+        this.isPlaying = false;
+        this.isFlying = false;
+        this.panel.classList.remove('visible');
+    }
+
+    /**
+     * Fly to a stop, switching planets first if needed.
+     * @param {number} index - Index of the stop in the tour
+     */
+    async goTo(index) {
+        const stop = this.tour.stops[index];
+        this.index = index;
+        this.isFlying = true;
+        this.isInterrupted = false;
+        // The previous dwell is over: don't let update() move on while the planet loads
+        this.dwellUntil = Infinity;
+        this.updatePanel();
+
+        if (stop.planet && stop.planet !== this.getPlanetName()) {
+            await this.changePlanet(stop.planet);
+            // Another stop may have been chosen while the planet was loading
+            if (this.index !== index) return;
+
+            if (this.getPlanetName() !== stop.planet) {
+                // The planet failed to load; playing again retries this stop
+                this.isFlying = false;
+                this.isInterrupted = true;
+                this.pause();
+                return;
+            }
+        }
+
+        const point = latLongToVector(stop.lat, stop.long);
+        const arrived = await this.eventManager.flyTo(point, stop.distance ?? this.eventManager.currentDistance);
+        if (!this.tour || this.index !== index) return;
+
+        this.isFlying = false;
+        if (arrived) {
+            this.arrive();
+        } else {
+            // The user took over the camera; playing again resumes this stop
+            this.isInterrupted = true;
+            this.pause();
+        }
+    }
+
+    /**
+     * Advance the dwell timer; call once per frame.
+     */
+    update() {
+        if (!this.tour || !this.isPlaying || this.isFlying) return;
+
+        if (performance.now() >= this.dwellUntil) {
+            if (this.index < this.tour.stops.length - 1) {
+                this.goTo(this.index + 1);
+            } else {
+                this.pause();
+            }
+        }
+    }
+
+    arrive() {
+        const stop = this.tour.stops[this.index];
+        this.dwellUntil = performance.now() + stop.dwell * 1000;
+        this.pausedDwell = stop.dwell * 1000;
+
+        // Give every stop its own teleport link
+        this.eventManager.updateDeepLink(stop);
+        this.eventManager.updateMarker(latLongToVector(stop.lat, stop.long));
+    }
+
+    updatePanel() {
+        const stop = this.tour && this.tour.stops[this.index];
+        this.panel.querySelector('.tour-caption').textContent = stop ? stop.caption : 'Press play to start';
+        this.panel.querySelector('.tour-progress').textContent =
+            this.tour ? `${Math.max(this.index + 1, 0)}/${this.tour.stops.length}` : '';
+        this.panel.querySelector('[data-action="toggle"]').textContent = this.isPlaying ? '⏸' : '▶';
+    }
+}
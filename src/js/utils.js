@@ -11,9 +11,75 @@ export function getLatLong(point) {
     };
 }
 
-export function calculateCameraOrientation(latitude, longitude) {
-    latitude = Math.max(-90, Math.min(90, latitude));
-    longitude = ((longitude + 180) % 360) - 180;
+/**
+ * Inverse of getLatLong: convert a latitude/longitude to a point on the unit sphere.
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {THREE.Vector3} Point on the unit sphere in the globe's local frame
+ */
+export function latLongToVector(latitude, longitude) {
+    const latRad = THREE.MathUtils.degToRad(latitude);
+    const lonRad = THREE.MathUtils.degToRad(longitude);
+
+    return new THREE.Vector3(
+        -Math.cos(latRad) * Math.sin(lonRad),
+        Math.sin(latRad),
+        Math.cos(latRad) * Math.cos(lonRad)
+    );
+}
+
+/**
+ * Clamp a latitude to [-90, 90] degrees.
+ * @param {number} latitude - Latitude in degrees
+ * @returns {number} The clamped latitude
+ */
+export function clampLatitude(latitude) {
+    return Math.max(-90, Math.min(90, latitude));
+}
+
+/**
+ * Wrap a longitude to [-180, 180) degrees.
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} The wrapped longitude
+ */
+export function wrapLongitude(longitude) {
+    if (longitude >= -180 && longitude < 180) {
+        return longitude; // Avoid rounding noise for values already in range
+    }
+    return ((((longitude + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Compass heading of a direction at a point of the globe.
+ * @param {{lat: number, long: number}} coords - The point, in degrees
+ * @param {THREE.Vector3} direction - Direction in the globe's local frame; only its part along the surface counts
+ * @returns {number} Degrees clockwise from north, in [-180, 180]
+ */
+export function getHeading({ lat, long }, direction) {
+    const latRad = THREE.MathUtils.degToRad(lat);
+    const lonRad = THREE.MathUtils.degToRad(long);
+
+    // Derivatives of latLongToVector along latitude and longitude
+    const north = new THREE.Vector3(
+        Math.sin(latRad) * Math.sin(lonRad),
+        Math.cos(latRad),
+        -Math.sin(latRad) * Math.cos(lonRad)
+    );
+    const east = new THREE.Vector3(-Math.cos(lonRad), 0, -Math.sin(lonRad));
+
+    return THREE.MathUtils.radToDeg(Math.atan2(direction.dot(east), direction.dot(north)));
+}
+
+/**
+ * Bookmark rotation of a player standing at a location.
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} [heading=0] - Direction the player faces, in degrees clockwise from north
+ * @returns {{yaw: number, pitch: number, roll: number}} Euler angles in radians
+ */
+export function calculateCameraOrientation(latitude, longitude, heading = 0) {
+    latitude = clampLatitude(latitude);
+    longitude = wrapLongitude(longitude);
 
     const latRad = THREE.MathUtils.degToRad(latitude);
     const lonRad = THREE.MathUtils.degToRad(longitude);
@@ -29,6 +95,14 @@ export function calculateCameraOrientation(latitude, longitude) {
     let right = new THREE.Vector3().crossVectors(up, normal).normalize();
     const recalculatedForward = new THREE.Vector3().crossVectors(normal, right).normalize();
 
+    // Turn from north towards east about the surface normal
+    if (heading !== 0) {
+        const headingRad = THREE.MathUtils.degToRad(heading);
+        const north = recalculatedForward.clone();
+        recalculatedForward.multiplyScalar(Math.cos(headingRad)).addScaledVector(right, Math.sin(headingRad));
+        right.multiplyScalar(Math.cos(headingRad)).addScaledVector(north, -Math.sin(headingRad));
+    }
+
     const rotationMatrix = new THREE.Matrix3();
     rotationMatrix.set(
         right.x, right.y, right.z,
@@ -40,7 +114,9 @@ export function calculateCameraOrientation(latitude, longitude) {
     const pitch = Math.atan2(-rotationMatrix.elements[5], Math.sqrt(
         Math.pow(rotationMatrix.elements[3], 2) + Math.pow(rotationMatrix.elements[4], 2)
     ));
-    const roll = Math.atan2(rotationMatrix.elements[3], rotationMatrix.elements[4]);
+    // right, normal, forward is a left-handed basis: the rotation's X axis is -right.
+    // Facing north, right is level: + 0 turns its -0 into 0 so the roll south of the equator stays π, not -π
+    const roll = Math.atan2(-rotationMatrix.elements[3] + 0, rotationMatrix.elements[4]);
 
     return { yaw, pitch, roll };
 }
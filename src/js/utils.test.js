@@ -0,0 +1,89 @@
+// Copyright (C) 2025 PLAYERUNKNOWN Productions
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { calculateCameraOrientation, getHeading, latLongToVector } from './utils';
+
+// Rotations of bookmarks facing north, as the viewer has always written them
+const KNOWN_BOOKMARKS = [
+    { lat: 10, long: 20, yaw: -2.7925268031909276, pitch: -1.3962634015954638, roll: 0 },
+    { lat: 45, long: -120, yaw: 1.0471975511965979, pitch: -0.7853981633974483, roll: 0 },
+    { lat: 89, long: 0, yaw: 3.141592653589793, pitch: -0.017453292519943382, roll: 0 },
+    { lat: 0, long: 90, yaw: 0, pitch: -1.5707963267948966, roll: 0 },
+    { lat: -30, long: 40, yaw: 0.6981317007977318, pitch: -1.0471975511965979, roll: 3.141592653589793 },
+    { lat: -45, long: 0, yaw: 0, pitch: -0.7853981633974484, roll: 3.141592653589793 },
+    { lat: -10, long: -170, yaw: -2.9670597283903604, pitch: -1.3962634015954638, roll: 3.141592653589793 },
+    { lat: -89.5, long: 179, yaw: 3.12413936106985, pitch: -0.00872664625997161, roll: 3.141592653589793 }
+];
+
+/**
+ * Angles are equal if they differ by whole turns: a roll of π and one of -π are the same.
+ */
+function expectSameAngle(actual, expected) {
+    const difference = THREE.MathUtils.euclideanModulo(actual - expected + Math.PI, 2 * Math.PI) - Math.PI;
+    expect(Math.abs(difference)).toBeLessThan(1e-12);
+}
+
+/**
+ * Axes of the player's frame in the viewer's globe frame. Bookmark angles apply yaw, pitch
+ * and roll as THREE's 'YXZ' order does, in the game's frame, whose X axis is the viewer's -X.
+ */
+function playerAxes({ yaw, pitch, roll }) {
+    const e = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(pitch, yaw, roll, 'YXZ')).elements;
+    const toViewer = (x, y, z) => new THREE.Vector3(-x, y, z);
+    return { up: toViewer(e[4], e[5], e[6]), forward: toViewer(e[8], e[9], e[10]) };
+}
+
+describe('calculateCameraOrientation', () => {
+    KNOWN_BOOKMARKS.forEach(({ lat, long, ...rotation }) => {
+        it(`keeps the north-facing rotation at ${lat}, ${long}`, () => {
+            [calculateCameraOrientation(lat, long), calculateCameraOrientation(lat, long, 0)].forEach(actual => {
+                ['yaw', 'pitch', 'roll'].forEach(angle => expectSameAngle(actual[angle], rotation[angle]));
+            });
+        });
+    });
+
+    [[10, 20, 90], [-35, 140, -45], [60, -100, 170], [-5, -170, 30], [0, 0, -120]].forEach(([lat, long, heading]) => {
+        it(`faces heading ${heading} at ${lat}, ${long} with the surface normal up`, () => {
+            const { up, forward } = playerAxes(calculateCameraOrientation(lat, long, heading));
+
+            expect(up.distanceTo(latLongToVector(lat, long))).toBeLessThan(1e-9);
+            expect(getHeading({ lat, long }, forward)).toBeCloseTo(heading, 9);
+        });
+    });
+
+    it('turns smoothly away from north', () => {
+        // A tiny heading must not jump to another representation of the rotation
+        const north = calculateCameraOrientation(-30, 40);
+        const turned = calculateCameraOrientation(-30, 40, 1e-9);
+        ['yaw', 'pitch', 'roll'].forEach(angle => {
+            const difference = THREE.MathUtils.euclideanModulo(turned[angle] - north[angle] + Math.PI, 2 * Math.PI) - Math.PI;
+            expect(Math.abs(difference)).toBeLessThan(1e-6);
+        });
+    });
+});
+
+describe('getHeading', () => {
+    it('measures clockwise from north', () => {
+        const coords = { lat: 0, long: 0 };
+        expect(getHeading(coords, new THREE.Vector3(0, 1, 0))).toBe(0);
+        // East, towards positive longitude, is -X in the globe's frame
+        expect(getHeading(coords, new THREE.Vector3(-1, 0, 0))).toBeCloseTo(90, 12);
+        expect(getHeading(coords, new THREE.Vector3(1, 0, 0))).toBeCloseTo(-90, 12);
+        expect(Math.abs(getHeading(coords, new THREE.Vector3(0, -1, 0)))).toBeCloseTo(180, 12);
+    });
+
+    it('ignores the part of the direction along the surface normal', () => {
+        const coords = { lat: 40, long: -75 };
+        const towardsNorthEast = latLongToVector(40.01, -74.99).sub(latLongToVector(40, -75));
+        const lifted = towardsNorthEast.clone().addScaledVector(latLongToVector(40, -75), 5);
+        expect(getHeading(coords, lifted)).toBeCloseTo(getHeading(coords, towardsNorthEast), 9);
+    });
+
+    it('follows the direction between two nearby points', () => {
+        // 0.01° north and 0.01° east at 60° north is a heading of atan(cos 60°) ≈ 26.57°
+        const coords = { lat: 60, long: 10 };
+        const direction = latLongToVector(60.00001, 10.00001).sub(latLongToVector(60, 10));
+        expect(getHeading(coords, direction)).toBeCloseTo(THREE.MathUtils.radToDeg(Math.atan(0.5)), 3);
+    });
+});
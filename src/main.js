@@ -4,23 +4,52 @@ import * as THREE from 'three';
 import { createScene, createStars } from './js/scene';
 import { Globe } from './js/sphere';
 import { EventManager } from './js/eventHandlers';
-import { TextureLoader } from './js/textureLoader';
+import { TextureLoader, MissingTexturesError } from './js/textureLoader';
+import { LoadingIndicator } from './js/loadingIndicator';
+import { TextureCache } from './js/textureCache';
+import { CacheStats } from './js/cacheStats';
+import { CUBE_FACE_COUNT } from './js/planetManifest';
 import { LightControls } from './js/lightControls';
 import { SunPositionControls } from './js/sunPositionControls';
 import { Sun } from './js/sun';
+import { parseDeepLink, getUrlParam, setDeepLinkConfig } from './js/deepLink';
+import { PinManager } from './js/pinManager';
+import { FeatureLayer } from './js/featureLayer';
+import { BookmarkTransfer } from './js/bookmarkTransfer';
+import { TourPlayer, getTourUrl } from './js/tour';
+import { MeasureTool } from './js/measureTool';
+import { DEFAULT_RADIUS_KM } from './js/geodesy';
+import { latLongToVector } from './js/utils';
+import { CoordinateSearch } from './js/coordinateSearch';
+import { TimeControls } from './js/timeControls';
+import { TerminatorOverlay } from './js/terminatorOverlay';
+import { Atmosphere } from './js/atmosphere';
+import { Graticule } from './js/graticule';
+import { CubeFaceOverlay } from './js/cubeFaceOverlay';
 import './styles/main.css';
 
 class App {
     constructor() {
         this.container = document.getElementById('canvas-container');
         this.textureLoader = new TextureLoader();
+        this.textureCache = new TextureCache(this.textureLoader);
         this.currentPlanetIndex = 0; 
+        this.planetRequest = 0; // Counts changePlanet calls so only the latest one applies
+        this.initialLink = parseDeepLink(window.location);
         this.init();
     }
 
     async init() {
         // Initialize texture loader first to load planets list
         await this.textureLoader.init();
+        this.textureLoader.planets.forEach(planetName => {
+            setDeepLinkConfig(this.textureLoader.getPlanetInfo(planetName).deepLink, planetName);
+        });
+
+        // Start on the linked planet so we don't load the default one first
+        if (this.initialLink && this.textureLoader.planets.includes(this.initialLink.planetName)) {
+            this.currentPlanetIndex = this.textureLoader.planets.indexOf(this.initialLink.planetName);
+        }
         
         const { scene, camera, renderer, group, sun } = createScene(this.container);
         this.scene = scene;
@@ -49,15 +78,23 @@ class App {
         this.globe = new Globe();
         this.group.add(this.globe.mesh);
 
+        // Atmosphere shell, lit through the globe's lightPosition uniform
+        this.atmosphere = new Atmosphere(this.globe);
+        this.group.add(this.atmosphere.mesh);
+
         // Connect sun and globe for lighting
         this.sun.setGlobe(this.globe);
 
         // Setup planet selector
         this.setupPlanetSelector();
 
-        // Load default texture
-        const cubeTexture = await this.textureLoader.loadTextures(this.textureLoader.planets[this.currentPlanetIndex]);
+        // Load default texture; with nothing to fall back on, show placeholders if it's missing
+        this.loadingIndicator = new LoadingIndicator();
+        const cubeTexture = await this.loadPlanetTextures(
+            this.textureLoader.planets[this.currentPlanetIndex], { allowPlaceholdersOnly: true });
         this.globe.setTexture(cubeTexture);
+        this.textureCache.setInUse([this.textureLoader.planets[this.currentPlanetIndex]]);
+        this.prefetchNeighbors();
 
         // Setup event handling
         this.eventManager = new EventManager(
@@ -68,9 +105,55 @@ class App {
             this.group,
             this.globe.mesh,
             this.cursor,
-            this.textureLoader.planets[this.currentPlanetIndex]
+            this.textureLoader.planets[this.currentPlanetIndex],
+            { getRadius: () => this.getPlanetRadius() }
+        );
+
+        // Setup pins for the current planet
+        this.pinManager = new PinManager(this.group, {
+            getSelectedLocation: () => this.eventManager.selectedLocation,
+            onSelect: (pin) => this.eventManager.goToLocation(pin)
+        });
+        const { landmarks } = this.textureLoader.getPlanetInfo(this.textureLoader.planets[this.currentPlanetIndex]);
+        this.pinManager.setPlanet(this.textureLoader.planets[this.currentPlanetIndex], landmarks);
+
+        // Setup imported shapes and the import/export controls
+        this.featureLayer = new FeatureLayer(this.group);
+        this.featureLayer.setPlanet(this.textureLoader.planets[this.currentPlanetIndex]);
+        this.bookmarkTransfer = new BookmarkTransfer(this.pinManager.sidebar, this.pinManager, this.featureLayer);
+
+        // Setup the tour player
+        this.tourPlayer = new TourPlayer(this.eventManager, {
+            getPlanetName: () => this.textureLoader.planets[this.currentPlanetIndex],
+            changePlanet: (planetName) => this.changePlanetByName(planetName)
+        });
+
+        // Setup the measure tool
+        this.measureTool = new MeasureTool(this.group, {
+            getRadius: () => this.getPlanetRadius(),
+            onClose: () => this.eventManager.setTool(null)
+        });
+
+        // Setup the day/night terminator overlay (hidden until toggled)
+        this.terminatorOverlay = new TerminatorOverlay(this.group, this.globe);
+
+        // Setup the lat/long grid and the cube face debug overlay (hidden until toggled)
+        this.graticule = new Graticule(this.group, this.globe, this.eventManager);
+        this.cubeFaceOverlay = new CubeFaceOverlay(this.group, this.globe);
+
+        // Setup the "go to" box next to the planet selector
+        this.coordinateSearch = new CoordinateSearch(
+            document.getElementById('planet-selector'),
+            (location) => this.openDeepLink(location)
         );
 
+        // Setup the time-of-day panel, starting at a shared time if the URL has one
+        this.timeControls = new TimeControls(this.sun);
+        const sharedTime = new Date(getUrlParam('time'));
+        if (getUrlParam('time') && !isNaN(sharedTime.getTime())) {
+            this.timeControls.setTime(sharedTime);
+        }
+
         // Create light controls and pass the sprite and sun
         this.lightControls = new LightControls(
             this.container,
@@ -81,10 +164,33 @@ class App {
             this.sun  // Pass sun reference
         );
         this.lightControls.setSprite(this.sun.group);
+        this.applySunParameters(this.textureLoader.planets[this.currentPlanetIndex]);
+        this.applyAtmosphere(this.textureLoader.planets[this.currentPlanetIndex]);
+
+        // Texture cache readout, shown with the other debug controls
+        this.cacheStats = new CacheStats(this.textureCache);
 
         // Setup keyboard controls
         this.setupKeyboardControls();
 
+        // Open the location from a shared link, if any, or the planet's default view
+        if (this.initialLink) {
+            await this.openDeepLink(this.initialLink);
+        } else {
+            this.showDefaultView(this.textureLoader.planets[this.currentPlanetIndex]);
+        }
+
+        // Load a shared tour, if any
+        const tourUrl = getTourUrl(window.location);
+        if (tourUrl) {
+            try {
+                await this.tourPlayer.load(tourUrl);
+                this.tourPlayer.play();
+            } catch (error) {
+                console.error(`Failed to load tour ${tourUrl}:`, error);
+            }
+        }
+
         // Start animation loop
         this.animate();
         
@@ -97,9 +203,11 @@ class App {
         
         // Populate dropdown with planet options
         this.textureLoader.planets.forEach((planet, index) => {
+            const { displayName, description } = this.textureLoader.getPlanetInfo(planet);
             const option = document.createElement('option');
             option.value = index;
-            option.textContent = planet;
+            option.textContent = displayName;
+            option.title = description;
             // Set current planet as default
             if (index === this.currentPlanetIndex) {
                 option.selected = true;
@@ -107,6 +215,12 @@ class App {
             select.appendChild(option);
         });
 
+        // Description of the selected planet, below the dropdown
+        this.planetDescription = document.createElement('div');
+        this.planetDescription.id = 'planet-description';
+        select.after(this.planetDescription);
+        this.updatePlanetDescription();
+
         // Handle planet selection change
         select.addEventListener('change', async (e) => {
             const planetIndex = parseInt(e.target.value);
@@ -116,9 +230,13 @@ class App {
 
     setupKeyboardControls() {
         window.addEventListener('keydown', (e) => {
+            // Leave keys alone while typing into a form field
+            if (e.target.closest('input, textarea, select')) return;
+
             if (e.key === 'd') {  // press D to toggle debug mode
                 Sun.setDebugMode(!Sun.isDebugMode());
                 this.lightControls.updateVisibility();
+                this.cacheStats.updateVisibility();
             } else if (e.key === 'ArrowLeft') {  // Left arrow - previous planet
                 e.preventDefault();
                 const prevIndex = (this.currentPlanetIndex - 1 + this.textureLoader.planets.length) % this.textureLoader.planets.length;
@@ -127,32 +245,187 @@ class App {
                 e.preventDefault();
                 const nextIndex = (this.currentPlanetIndex + 1) % this.textureLoader.planets.length;
                 this.changePlanet(nextIndex);
+            } else if (e.key === 'm') {  // press M to toggle measure mode
+                const isMeasuring = this.eventManager.tool === this.measureTool;
+                this.eventManager.setTool(isMeasuring ? null : this.measureTool);
+            } else if (e.key === 't') {  // press T to toggle the terminator overlay
+                this.terminatorOverlay.toggle();
+            } else if (e.key === 'g') {  // press G to toggle the lat/long grid
+                this.graticule.toggle();
+            } else if (e.key === 'f') {  // press F to toggle the cube face overlay
+                this.cubeFaceOverlay.toggle();
             }
         });
     }
 
-    async changePlanet(planetIndex) {
-        if (planetIndex === this.currentPlanetIndex) return;
-        
-        this.currentPlanetIndex = planetIndex;
+    /**
+     * Show the current planet's description from planets.json below the dropdown.
+     */
+    updatePlanetDescription() {
+        const planetName = this.textureLoader.planets[this.currentPlanetIndex];
+        this.planetDescription.textContent = this.textureLoader.getPlanetInfo(planetName).description;
+    }
+
+    /**
+     * Switch to another planet.
+     * @param {number} planetIndex - Index of the planet in planets.json
+     * @param {Object} [options]
+     * @param {boolean} [options.showDefaultView=true] - Fly to the planet's default view, if it has one
+     * @returns {Promise<boolean>} Whether the planet is now shown; false keeps the previous one
+     */
+    async changePlanet(planetIndex, { showDefaultView = true } = {}) {
+        if (planetIndex === this.currentPlanetIndex) return true;
+
         const planetName = this.textureLoader.planets[planetIndex];
+        const select = document.getElementById('planet-select');
+
+        // Only the latest request applies if the planet is changed again while loading
+        const request = ++this.planetRequest;
+        const cubeTexture = await this.loadPlanetTextures(planetName);
+        if (request !== this.planetRequest) return false;
+
+        if (!cubeTexture) {
+            // Keep showing the previous planet
+            select.value = this.currentPlanetIndex;
+            return false;
+        }
+
+        // Cross-fade from the previous planet, keeping both textures cached until it's done
+        const previousName = this.textureLoader.planets[this.currentPlanetIndex];
+        this.currentPlanetIndex = planetIndex;
+        this.textureCache.setInUse([previousName, planetName]);
+        this.globe.setTexture(cubeTexture, this.globe.transitionDuration).then(isComplete => {
+            if (isComplete) this.textureCache.setInUse([planetName]);
+        });
+        this.prefetchNeighbors();
+        
+        // Update EventManager with new planet name
+        this.eventManager.updatePlanetName(planetName);
+        this.pinManager.setPlanet(planetName, this.textureLoader.getPlanetInfo(planetName).landmarks);
+        this.featureLayer.setPlanet(planetName);
+        this.measureTool.clear();
+        this.applySunParameters(planetName);
+        this.applyAtmosphere(planetName);
+        if (showDefaultView) {
+            this.showDefaultView(planetName);
+        }
         
+        // Update dropdown selection
+        select.value = planetIndex;
+        this.updatePlanetDescription();
+        return true;
+    }
+
+    /**
+     * Load a planet's textures, showing progress and errors in the loading indicator.
+     * Missing faces are shown as checkerboards as long as at least one face loaded.
+     * @param {string} planetName - The planet to load
+     * @param {Object} [options]
+     * @param {boolean} [options.allowPlaceholdersOnly=false] - Use checkerboards even if no face loaded
+     * @returns {Promise<?THREE.CubeTexture>} The texture, or null if the planet can't be shown
+     */
+    async loadPlanetTextures(planetName, { allowPlaceholdersOnly = false } = {}) {
+        const { displayName = planetName } = this.textureLoader.getPlanetInfo(planetName);
+        this.loadingIndicator.showProgress(displayName, 0, CUBE_FACE_COUNT);
+
         try {
-            // Load new textures
-            const cubeTexture = await this.textureLoader.loadTextures(planetName);
-            this.globe.setTexture(cubeTexture);
-            
-            // Update EventManager with new planet name
-            this.eventManager.updatePlanetName(planetName);
-            
-            // Update dropdown selection
-            const select = document.getElementById('planet-select');
-            select.value = planetIndex;
+            const cubeTexture = await this.textureCache.get(planetName, {
+                onProgress: ({ loaded, total }) => this.loadingIndicator.showProgress(displayName, loaded, total)
+            });
+            this.loadingIndicator.hide();
+            return cubeTexture;
         } catch (error) {
-            console.error(`Failed to load textures for ${planetName}:`, error);
+            console.error(error.message);
+            if (!(error instanceof MissingTexturesError)) {
+                this.loadingIndicator.showError(`Couldn't load ${displayName}: ${error.message}`);
+                return null;
+            }
+            if (error.hasAnyFace || allowPlaceholdersOnly) {
+                this.loadingIndicator.showError(`${error.message}\nShown as a checkerboard.`);
+                return error.texture;
+            }
+            this.loadingIndicator.showError(`${error.message}\nStaying on the current planet.`);
+            return null;
         }
     }
 
+    /**
+     * Load the previous and next planets in the background, so the arrow keys switch instantly.
+     */
+    prefetchNeighbors() {
+        const { planets } = this.textureLoader;
+        this.textureCache.prefetch([
+            planets[(this.currentPlanetIndex - 1 + planets.length) % planets.length],
+            planets[(this.currentPlanetIndex + 1) % planets.length]
+        ]);
+    }
+
+    /**
+     * Show the location a deep link (or a searched location) points to: select its
+     * planet, face the camera towards it and place the marker there.
+     * @param {{lat: number, long: number, planetName: ?string, rotation: ?Object}} link - Parsed deep link
+     */
+    async openDeepLink(link) {
+        if (link.planetName && !(await this.changePlanetByName(link.planetName))) {
+            return; // Don't show the location on the wrong planet
+        }
+
+        this.eventManager.goToLocation(link, link.rotation);
+    }
+
+    /**
+     * Switch to a planet by its name.
+     * @param {string} planetName - Name of the planet as listed in planets.json
+     * @returns {Promise<boolean>} Whether the planet is now shown
+     */
+    async changePlanetByName(planetName) {
+        const planetIndex = this.textureLoader.planets.indexOf(planetName);
+        if (planetIndex === -1) {
+            console.warn(`Unknown planet: ${planetName}`);
+            return false;
+        }
+        // Callers go to a location of their own
+        return this.changePlanet(planetIndex, { showDefaultView: false });
+    }
+
+    /**
+     * Fly to the view listed for a planet in planets.json, if any.
+     * @param {string} planetName - Planet whose default view to show
+     */
+    showDefaultView(planetName) {
+        const { defaultView } = this.textureLoader.getPlanetInfo(planetName);
+        if (defaultView) {
+            this.eventManager.flyTo(latLongToVector(defaultView.lat, defaultView.long), defaultView.distance);
+        }
+    }
+
+    /**
+     * Set up the sun for a planet from its planets.json entry: its orbit and
+     * rotation, and the offsets calibrating it against the game.
+     * @param {string} planetName - The planet to set up the sun for
+     */
+    applySunParameters(planetName) {
+        this.sun.setPlanetParameters(this.textureLoader.getPlanetInfo(planetName).sun);
+        this.lightControls.refreshOffsets();
+    }
+
+    /**
+     * Set the atmosphere's colour, thickness and density from planets.json.
+     * @param {string} planetName - Planet whose manifest entry to apply
+     */
+    applyAtmosphere(planetName) {
+        this.atmosphere.setParameters(this.textureLoader.getPlanetInfo(planetName).atmosphere);
+    }
+
+    /**
+     * Radius of the current planet in kilometres, from planets.json.
+     * @returns {number} The radius, or Earth's radius if the planet doesn't list one
+     */
+    getPlanetRadius() {
+        const planetName = this.textureLoader.planets[this.currentPlanetIndex];
+        return this.textureLoader.getPlanetInfo(planetName).radius || DEFAULT_RADIUS_KM;
+    }
+
     animate() {
         const deltaTime = 1/60;
         requestAnimationFrame(this.animate.bind(this));
@@ -164,8 +437,14 @@ class App {
         // Update light position and sun
         this.lightControls.update();
         this.sun.update(deltaTime);
+        this.timeControls.update();
         this.sun.updateOrientation(this.camera);
+        this.terminatorOverlay.update();
+        this.cacheStats.update();
         
+        this.eventManager.update();
+        this.graticule.update();
+        this.tourPlayer.update();
         this.eventManager.updateMarkerAnimation();
         this.renderer.render(this.scene, this.camera);
     }